@@ -40,6 +40,16 @@ function loadConfig(configPath) {
   return {};
 }
 
+// Collect a repeatable option into an array
+function collect(value, previous = []) {
+  return previous.concat(value);
+}
+
+// Collect a repeatable, comma-separated option into an array
+function collectList(value, previous = []) {
+  return previous.concat(value.split(','));
+}
+
 // Package info
 const pkg = require('../package.json');
 
@@ -52,14 +62,39 @@ program
   .command('migrate')
   .description('Run the migration from Confluence to VuePress')
   .option('-u, --url <url>', 'Confluence base URL (e.g., https://yoursite.atlassian.net)')
-  .option('-p, --page-id <id>', 'Root page ID to migrate')
+  .option('-p, --page-id <id>', 'Root page ID to migrate (omit with --space to migrate the whole space)')
   .option('-s, --space <key>', 'Confluence space key')
   .option('-o, --output <dir>', 'Output directory (default: ./docs)')
   .option('-e, --email <email>', 'Confluence account email')
   .option('-t, --token <token>', 'Confluence API token')
+  .option('--pat <token>', 'Personal access token (Server/Data Center, replaces email + API token)')
+  .option('--deployment <type>', 'Deployment type: cloud, server or datacenter (default: cloud)')
+  .option('--context-path <path>', 'Context path Confluence is served under (default: /wiki on Cloud, none on Server)')
   .option('--title <title>', 'Site title (default: Documentation)')
   .option('--description <desc>', 'Site description (default: Migrated from Confluence)')
   .option('--no-external-images', 'Skip downloading external images')
+  .option('--blog-posts', 'Also migrate the space\'s blog posts (requires --space)')
+  .option('--comments [mode]', 'Include page comments: section (default, collapsible Discussion) or file (comments.md)')
+  .option('--exclude-resolved-comments', 'Leave out resolved inline comments')
+  .option('--history [n]', 'Keep the last n previous versions of each page (default: all) under history/')
+  .option('--include-label <labels>', 'Only migrate root pages (and their subtrees) carrying one of these labels (comma-separated, repeatable)', collectList)
+  .option('--exclude-label <labels>', 'Skip pages (and their subtrees) carrying any of these labels', collectList)
+  .option('--include-title <pattern>', 'Only migrate root pages (and their subtrees) whose title matches a glob or /regex/ (repeatable)', collect)
+  .option('--exclude-title <pattern>', 'Skip pages (and their subtrees) whose title matches a glob or /regex/', collect)
+  .option('--max-depth <n>', 'Stop at this many levels below the root page(s)')
+  .option('--jira-url <url>', 'Jira base URL that jira macros link to')
+  .option('--jira-snapshot <file>', 'JSON snapshot of Jira issues and query results, rendered as tables offline')
+  .option('--user-map <file>', 'JSON file mapping user account IDs (or user keys) to display names')
+  .option('--from-export <zip>', 'Import from a Confluence space export ZIP (XML or HTML) instead of the API')
+  .option('--concurrency <n>', 'Pages and attachments fetched in parallel (default: 4)')
+  .option('--max-retries <n>', 'Retries for rate-limited or failed requests (default: 5)')
+  .option('--force', 'Reconvert every page, ignoring the manifest from the previous run')
+  .option('--resume', 'Resume an interrupted migration from its checkpoint, skipping completed pages')
+  .option('--continue-on-error', 'Keep going when pages fail; write migration-report.json and exit non-zero on failures')
+  .option('--prune [mode]', 'Clean up folders of deleted/moved pages: delete (default), archive or dry-run')
+  .option('--archive-dir <dir>', 'Where --prune archive moves orphaned files (default: <output>/.pruned)')
+  .option('--record <dir>', 'Record every HTTP response to a cache directory')
+  .option('--replay <dir>', 'Replay HTTP responses from a recorded cache directory (no network)')
   .option('-c, --config <path>', 'Path to config file')
   .action(async (options) => {
     try {
@@ -72,17 +107,69 @@ program
         outputDir: options.output || fileConfig.outputDir || process.env.CONFLUENCE_OUTPUT_DIR || './docs',
         email: options.email || fileConfig.email || process.env.CONFLUENCE_EMAIL,
         apiToken: options.token || fileConfig.apiToken || process.env.CONFLUENCE_API_TOKEN,
+        personalAccessToken: options.pat || fileConfig.personalAccessToken || process.env.CONFLUENCE_PERSONAL_ACCESS_TOKEN,
+        deploymentType: options.deployment || fileConfig.deploymentType || process.env.CONFLUENCE_DEPLOYMENT_TYPE,
+        contextPath: options.contextPath ?? fileConfig.contextPath ?? process.env.CONFLUENCE_CONTEXT_PATH,
         siteTitle: options.title || fileConfig.siteTitle || 'Documentation',
         siteDescription: options.description || fileConfig.siteDescription || 'Migrated from Confluence',
         downloadExternalImages: options.externalImages !== false,
+        blogPosts: options.blogPosts || fileConfig.blogPosts === true,
+        comments: options.comments || fileConfig.comments || false,
+        excludeResolvedComments: options.excludeResolvedComments || fileConfig.excludeResolvedComments === true,
+        history: options.history || fileConfig.history || false,
+        includeLabels: options.includeLabel || fileConfig.includeLabels,
+        excludeLabels: options.excludeLabel || fileConfig.excludeLabels,
+        includeTitles: options.includeTitle || fileConfig.includeTitles,
+        excludeTitles: options.excludeTitle || fileConfig.excludeTitles,
+        maxDepth: options.maxDepth ?? fileConfig.maxDepth,
+        fromExport: options.fromExport || fileConfig.fromExport,
+        concurrency: options.concurrency || fileConfig.concurrency,
+        maxRetries: options.maxRetries ?? fileConfig.maxRetries,
+        force: options.force || fileConfig.force === true,
+        resume: options.resume || false,
+        continueOnError: options.continueOnError || fileConfig.continueOnError === true,
+        prune: options.prune || fileConfig.prune || false,
+        archiveDir: options.archiveDir || fileConfig.archiveDir,
+        record: options.record,
+        replay: options.replay,
+        cacheDir: fileConfig.cacheDir,
+        cacheMode: fileConfig.cacheMode,
+        jiraUrl: options.jiraUrl || fileConfig.jiraUrl,
+        jiraSnapshot: options.jiraSnapshot || fileConfig.jiraSnapshot,
+        userMap: options.userMap || fileConfig.userMap,
+        macros: fileConfig.macros,
       };
 
       const migrator = new ConfluenceToVuePress(config);
       const result = await migrator.migrate();
 
       console.log(`\n📊 Summary:`);
-      console.log(`   Pages migrated: ${result.pagesProcessed}`);
+      console.log(`   Pages migrated: ${result.pagesProcessed} (${result.pagesUpdated} updated, ${result.pagesUnchanged} unchanged)`);
+      if (config.blogPosts) {
+        console.log(`   Blog posts: ${result.blogPosts}`);
+      }
+      if (result.skipped.length > 0) {
+        console.log(`   Skipped: ${result.skipped.length} page(s) and their subtrees`);
+        for (const page of result.skipped) {
+          console.log(`     - ${page.title} (${page.reason})`);
+        }
+      }
+      if (config.prune) {
+        const verb = config.prune === 'dry-run' ? 'To prune' : 'Pruned';
+        console.log(`   ${verb}: ${result.pruned.length} item(s)`);
+      }
       console.log(`   Output: ${result.outputDir}`);
+
+      if (config.continueOnError && result.failures.length > 0) {
+        console.log(`\n❌ Failures: ${result.failures.length}`);
+        for (const failure of result.failures) {
+          const cause = failure.status ? `${failure.status} ${failure.message}` : failure.message;
+          console.log(`   - ${failure.type} ${failure.item || failure.pageId}: ${cause}`);
+        }
+        console.log(`   Details: ${result.reportPath}`);
+        process.exit(1);
+      }
+
       console.log(`\n💡 Next steps:`);
       console.log(`   cd ${result.outputDir}`);
       console.log(`   npm install`);
@@ -98,8 +185,12 @@ program
   .description('Test connection to Confluence')
   .option('-u, --url <url>', 'Confluence base URL')
   .option('-p, --page-id <id>', 'Page ID to test')
+  .option('-s, --space <key>', 'Space key to test (when no page ID is given)')
   .option('-e, --email <email>', 'Confluence account email')
   .option('-t, --token <token>', 'Confluence API token')
+  .option('--pat <token>', 'Personal access token (Server/Data Center)')
+  .option('--deployment <type>', 'Deployment type: cloud, server or datacenter')
+  .option('--context-path <path>', 'Context path Confluence is served under')
   .option('-c, --config <path>', 'Path to config file')
   .action(async (options) => {
     try {
@@ -108,8 +199,12 @@ program
       const config = {
         confluenceUrl: options.url || fileConfig.confluenceUrl || process.env.CONFLUENCE_URL,
         rootPageId: options.pageId || fileConfig.rootPageId || process.env.CONFLUENCE_ROOT_PAGE_ID,
+        spaceKey: options.space || fileConfig.spaceKey || process.env.CONFLUENCE_SPACE_KEY,
         email: options.email || fileConfig.email || process.env.CONFLUENCE_EMAIL,
         apiToken: options.token || fileConfig.apiToken || process.env.CONFLUENCE_API_TOKEN,
+        personalAccessToken: options.pat || fileConfig.personalAccessToken || process.env.CONFLUENCE_PERSONAL_ACCESS_TOKEN,
+        deploymentType: options.deployment || fileConfig.deploymentType || process.env.CONFLUENCE_DEPLOYMENT_TYPE,
+        contextPath: options.contextPath ?? fileConfig.contextPath ?? process.env.CONFLUENCE_CONTEXT_PATH,
       };
 
       console.log('🔗 Testing connection to Confluence...\n');
@@ -145,6 +240,10 @@ CONFLUENCE_ROOT_PAGE_ID=12345678
 CONFLUENCE_SPACE_KEY=YOURSPACE
 CONFLUENCE_EMAIL=your-email@example.com
 CONFLUENCE_API_TOKEN=your-api-token
+# Server/Data Center only:
+# CONFLUENCE_DEPLOYMENT_TYPE=server
+# CONFLUENCE_CONTEXT_PATH=/confluence
+# CONFLUENCE_PERSONAL_ACCESS_TOKEN=your-personal-access-token
 `;
       fs.writeFileSync('.env.example', envContent);
       console.log('✅ Created .env.example');
@@ -152,6 +251,7 @@ CONFLUENCE_API_TOKEN=your-api-token
     } else {
       const jsonConfig = {
         confluenceUrl: 'https://yoursite.atlassian.net',
+        deploymentType: 'cloud',
         rootPageId: '12345678',
         spaceKey: 'YOURSPACE',
         email: '',
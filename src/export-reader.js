@@ -0,0 +1,429 @@
+/**
+ * Confluence Export Reader
+ * Reads a Confluence space export archive (XML or HTML) from disk
+ */
+
+const AdmZip = require('adm-zip');
+const { Parser, parseDocument, DomUtils } = require('htmlparser2');
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeAttribute } = require('./storage-format');
+
+// Parse entities.xml into flat objects: { class, id, props }
+// Properties that reference another object (<property><id>..</id></property>) hold the referenced ID
+function parseEntitiesXml(xml) {
+  const objects = [];
+  const stack = [];
+  let current = null;
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (name === 'object' && !current) {
+        current = { class: attribs.class, id: null, props: {} };
+        return;
+      }
+      if (current) {
+        stack.push({ name, attribs, text: '', refId: null });
+      }
+    },
+    ontext(text) {
+      if (stack.length > 0) {
+        stack[stack.length - 1].text += text;
+      }
+    },
+    onclosetag(name) {
+      if (!current) return;
+      if (name === 'object' && stack.length === 0) {
+        objects.push(current);
+        current = null;
+        return;
+      }
+
+      const element = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (element.name === 'id') {
+        if (!parent) {
+          current.id = element.text.trim();
+        } else if (parent.name === 'property') {
+          parent.refId = element.text.trim();
+        }
+      } else if (element.name === 'property' && !parent) {
+        current.props[element.attribs.name] = element.refId !== null ? element.refId : element.text;
+      }
+    }
+  }, { xmlMode: true, recognizeCDATA: true });
+
+  parser.write(xml);
+  parser.end();
+  return objects;
+}
+
+// Only the current version of live content is migrated (no drafts, trash or history)
+function isCurrent(object) {
+  const status = (object.props.contentStatus || 'current').trim();
+  return status === 'current' && !object.props.originalVersion;
+}
+
+// Sort child IDs by position, then title, like the Confluence page tree
+function sortPageIds(ids, pages) {
+  return ids.sort((a, b) => {
+    const pageA = pages.get(a);
+    const pageB = pages.get(b);
+    const posA = pageA.position ?? 999999;
+    const posB = pageB.position ?? 999999;
+    return posA - posB || pageA.title.localeCompare(pageB.title);
+  });
+}
+
+function toNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Build the page model from an XML export's entities.xml
+function buildXmlModel(objects) {
+  const pages = new Map();
+  const labelNames = new Map();
+  let homePageId = null;
+  let spaceKey = null;
+
+  for (const object of objects) {
+    if (object.class === 'Page' && isCurrent(object)) {
+      pages.set(object.id, {
+        id: object.id,
+        title: object.props.title || '',
+        parentId: object.props.parent || null,
+        position: toNumber(object.props.position),
+        version: toNumber(object.props.version) || 1,
+        body: '',
+        labels: [],
+        attachments: [],
+        children: []
+      });
+    } else if (object.class === 'Space') {
+      homePageId = object.props.homePage || homePageId;
+      spaceKey = object.props.key || spaceKey;
+    } else if (object.class === 'Label' && (object.props.namespace || 'global') === 'global') {
+      labelNames.set(object.id, object.props.name);
+    }
+  }
+
+  for (const object of objects) {
+    if (object.class === 'BodyContent') {
+      const page = pages.get(object.props.content);
+      if (page) page.body = object.props.body || '';
+    } else if (object.class === 'Attachment' && isCurrent(object)) {
+      const page = pages.get(object.props.containerContent || object.props.content);
+      if (page) {
+        const version = toNumber(object.props.version) || 1;
+        page.attachments.push({
+          id: object.id,
+          title: object.props.title || object.id,
+          version,
+          entryName: `attachments/${page.id}/${object.id}/${version}`
+        });
+      }
+    } else if (object.class === 'Labelling') {
+      const page = pages.get(object.props.content);
+      const name = labelNames.get(object.props.label);
+      if (page && name) page.labels.push(name);
+    }
+  }
+
+  return finishModel(pages, homePageId, spaceKey);
+}
+
+// Link children to parents and work out the top-level pages (homepage first)
+function finishModel(pages, homePageId, spaceKey) {
+  const rootPageIds = [];
+  for (const page of pages.values()) {
+    const parent = page.parentId && pages.get(page.parentId);
+    if (parent) {
+      parent.children.push(page.id);
+    } else {
+      rootPageIds.push(page.id);
+    }
+  }
+
+  for (const page of pages.values()) {
+    sortPageIds(page.children, pages);
+  }
+  sortPageIds(rootPageIds, pages);
+
+  const homeIndex = rootPageIds.indexOf(homePageId);
+  if (homeIndex > 0) {
+    rootPageIds.unshift(...rootPageIds.splice(homeIndex, 1));
+  }
+
+  return { pages, rootPageIds, spaceKey };
+}
+
+// Extract the page ID from an HTML export filename (Page-Title_12345.html or 12345.html)
+function pageIdFromHref(href) {
+  const file = decodeURIComponent(href.split(/[?#]/)[0]);
+  const match = file.match(/(?:^|_)(\d+)\.html$/);
+  return match ? match[1] : file.replace(/\.html$/, '');
+}
+
+// Build the page model from an HTML export's index.html and page files
+function buildHtmlModel(zip, indexEntryName) {
+  const baseDir = path.posix.dirname(indexEntryName);
+  const entryPath = (relative) => (baseDir === '.' ? relative : `${baseDir}/${relative}`);
+  const readEntry = (relative) => {
+    const entry = zip.getEntry(entryPath(relative));
+    return entry ? entry.getData().toString('utf-8') : null;
+  };
+
+  const isPageLink = (el) => {
+    const href = el.attribs?.href || '';
+    return el.name === 'a' && /\.html(?:[?#].*)?$/.test(href) && !/^[a-z]+:/i.test(href);
+  };
+
+  // The page tree is the top-level list holding the most page links
+  const indexDom = parseDocument(readEntry(path.posix.basename(indexEntryName)));
+  const lists = DomUtils.findAll(el => el.name === 'ul' && !hasAncestor(el, 'li'), indexDom.children);
+  let tree = null;
+  let bestCount = 0;
+  for (const list of lists) {
+    const count = DomUtils.findAll(isPageLink, [list]).length;
+    if (count > bestCount) {
+      tree = list;
+      bestCount = count;
+    }
+  }
+
+  const pages = new Map();
+  const walk = (list, parentId) => {
+    list.children.filter(el => el.name === 'li').forEach((item, position) => {
+      const branches = item.children.filter(el => el.name === 'ul');
+      const anchor = DomUtils.findOne(isPageLink, item.children.filter(el => el.name !== 'ul'));
+      if (!anchor) return;
+
+      const href = anchor.attribs.href;
+      const id = pageIdFromHref(href);
+      pages.set(id, {
+        id,
+        title: DomUtils.textContent(anchor).trim(),
+        parentId,
+        position,
+        // HTML exports carry no version numbers, so incremental sync always reconverts them
+        version: null,
+        file: decodeURIComponent(href.split(/[?#]/)[0]),
+        body: '',
+        labels: [],
+        attachments: [],
+        children: []
+      });
+      branches.forEach(branch => walk(branch, id));
+    });
+  };
+  if (tree) walk(tree, null);
+
+  for (const page of pages.values()) {
+    loadHtmlPage(page, readEntry(page.file) || '', zip, entryPath);
+  }
+  for (const page of pages.values()) {
+    page.body = rewriteHtmlLinks(page, pages);
+  }
+
+  return finishModel(pages, null, null);
+}
+
+function hasAncestor(el, name) {
+  for (let parent = el.parent; parent; parent = parent.parent) {
+    if (parent.name === name) return true;
+  }
+  return false;
+}
+
+// Read a page's main content and attachment list from its HTML export file
+function loadHtmlPage(page, html, zip, entryPath) {
+  const dom = parseDocument(html, { withStartIndices: true, withEndIndices: true });
+  const main = DomUtils.getElementById('main-content', dom.children)
+    || DomUtils.findOne(el => el.name === 'body', dom.children);
+
+  if (main && main.children.length > 0) {
+    const first = main.children[0];
+    const last = main.children[main.children.length - 1];
+    page.rawBody = html.slice(first.startIndex, last.endIndex + 1);
+  } else {
+    page.rawBody = '';
+  }
+
+  // Attachment filenames only appear as link text / image aliases
+  const names = new Map();
+  DomUtils.findAll(el => el.name === 'a' && /^attachments\//.test(el.attribs.href || ''), dom.children)
+    .forEach(a => names.set(decodeURIComponent(a.attribs.href.split('?')[0]), DomUtils.textContent(a).trim()));
+  DomUtils.findAll(el => el.name === 'img' && el.attribs['data-linked-resource-default-alias'], dom.children)
+    .forEach(img => {
+      const src = decodeURIComponent((img.attribs.src || '').split('?')[0]).replace(/^thumbnails\//, 'attachments/');
+      if (!names.has(src)) names.set(src, img.attribs['data-linked-resource-default-alias']);
+    });
+
+  const prefix = entryPath(`attachments/${page.id}/`);
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || !entry.entryName.startsWith(prefix)) continue;
+    const relative = `attachments/${page.id}/${entry.entryName.slice(prefix.length)}`;
+    page.attachments.push({
+      id: path.posix.basename(relative).replace(/\.[^.]+$/, ''),
+      title: names.get(relative) || path.posix.basename(relative),
+      version: null,
+      entryName: entry.entryName,
+      href: relative
+    });
+  }
+}
+
+// Turn HTML export links and images back into storage-format elements
+// so the regular preprocessing resolves them to local pages and attachments
+function rewriteHtmlLinks(page, pages) {
+  const attachmentFor = (src) => {
+    const href = decodeURIComponent(src.split('?')[0]).replace(/^thumbnails\//, 'attachments/');
+    return page.attachments.find(att => att.href === href);
+  };
+
+  let html = page.rawBody;
+  delete page.rawBody;
+
+  html = html.replace(/<img\b[^>]*\bsrc="([^"]+)"[^>]*>/gi, (match, src) => {
+    const attachment = attachmentFor(src);
+    if (!attachment) return match;
+    return `<ac:image><ri:attachment ri:filename="${escapeAttribute(attachment.title)}" /></ac:image>`;
+  });
+
+  html = html.replace(/<a\b[^>]*\bhref="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, text) => {
+    if (/^[a-z]+:/i.test(href) || href.startsWith('#')) return match;
+
+    const attachment = attachmentFor(href);
+    if (attachment) {
+      return `<ac:link><ri:attachment ri:filename="${escapeAttribute(attachment.title)}" /><ac:link-body>${text}</ac:link-body></ac:link>`;
+    }
+
+    const target = /\.html(?:[?#].*)?$/.test(href) && pages.get(pageIdFromHref(href));
+    if (target) {
+      return `<ac:link><ri:page ri:content-title="${escapeAttribute(target.title)}" /><ac:link-body>${text}</ac:link-body></ac:link>`;
+    }
+    return match;
+  });
+
+  return html;
+}
+
+/**
+ * Confluence space export opened from a ZIP archive
+ * Exposes pages and attachments in the same shape as the REST API
+ */
+class ConfluenceExport {
+  constructor(zip, model, format) {
+    this.zip = zip;
+    this.pages = model.pages;
+    this.rootPageIds = model.rootPageIds;
+    this.spaceKey = model.spaceKey;
+    this.format = format;
+  }
+
+  /**
+   * Open an export archive, detecting XML (entities.xml) or HTML (index.html) exports
+   */
+  static async open(zipPath) {
+    const zip = new AdmZip(await fs.readFile(zipPath));
+    const entries = zip.getEntries()
+      .filter(entry => !entry.isDirectory)
+      .sort((a, b) => a.entryName.length - b.entryName.length);
+
+    const entitiesEntry = entries.find(entry => path.posix.basename(entry.entryName) === 'entities.xml');
+    if (entitiesEntry) {
+      const objects = parseEntitiesXml(entitiesEntry.getData().toString('utf-8'));
+      return new ConfluenceExport(zip, buildXmlModel(objects), 'xml');
+    }
+
+    const indexEntry = entries.find(entry => path.posix.basename(entry.entryName) === 'index.html');
+    if (indexEntry) {
+      return new ConfluenceExport(zip, buildHtmlModel(zip, indexEntry.entryName), 'html');
+    }
+
+    throw new Error(`Not a Confluence export (no entities.xml or index.html): ${zipPath}`);
+  }
+
+  /**
+   * Top-level pages of the exported space, homepage first
+   */
+  getRootPageIds() {
+    return [...this.rootPageIds];
+  }
+
+  /**
+   * Page content and metadata, shaped like GET /content/{id}
+   */
+  getPage(pageId) {
+    const page = this.pages.get(String(pageId));
+    if (!page) {
+      throw new Error(`Page ${pageId} not found in export`);
+    }
+    return {
+      id: page.id,
+      title: page.title,
+      space: { key: this.spaceKey },
+      body: { storage: { value: page.body, representation: 'storage' } },
+      version: { number: page.version },
+      metadata: { labels: { results: page.labels.map(name => ({ prefix: 'global', name })) } }
+    };
+  }
+
+  /**
+   * Child pages in tree order, shaped like GET /content/{id}/child/page
+   */
+  getChildPages(pageId) {
+    const page = this.pages.get(String(pageId));
+    if (!page) return [];
+    return page.children.map((childId, position) => {
+      const child = this.pages.get(childId);
+      return {
+        id: childId,
+        title: child.title,
+        version: { number: child.version },
+        extensions: { position },
+        metadata: { labels: { results: child.labels.map(name => ({ prefix: 'global', name })) } }
+      };
+    });
+  }
+
+  /**
+   * Attachments of a page, shaped like GET /content/{id}/child/attachment
+   */
+  getAttachments(pageId) {
+    const page = this.pages.get(String(pageId));
+    if (!page) return [];
+    return page.attachments.map(att => ({
+      id: att.id,
+      title: att.title,
+      version: { number: att.version },
+      extensions: {},
+      entryName: att.entryName
+    }));
+  }
+
+  /**
+   * Read an attachment's bytes from the archive
+   */
+  readAttachment(attachment) {
+    let entry = this.zip.getEntry(attachment.entryName);
+    if (!entry) {
+      // Some exports store attachments without a version folder, or only older versions
+      const prefix = attachment.entryName.replace(/\/\d+$/, '');
+      entry = this.zip.getEntries()
+        .filter(e => !e.isDirectory && (e.entryName === prefix || e.entryName.startsWith(`${prefix}/`)))
+        .sort((a, b) => (toNumber(path.posix.basename(b.entryName)) || 0) - (toNumber(path.posix.basename(a.entryName)) || 0))[0];
+    }
+    if (!entry) {
+      throw new Error(`Attachment ${attachment.title} not found in export`);
+    }
+    return entry.getData();
+  }
+}
+
+module.exports = {
+  ConfluenceExport,
+  parseEntitiesXml,
+  pageIdFromHref
+};
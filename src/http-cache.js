@@ -0,0 +1,138 @@
+/**
+ * HTTP Record/Replay Cache
+ * Axios adapter that records responses to disk and replays them without network access
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { AxiosError, AxiosHeaders } = axios;
+
+// Supported cache modes
+const CACHE_MODES = ['record', 'replay'];
+
+// Headers never written to recordings (they may carry session secrets)
+const OMITTED_HEADERS = new Set(['set-cookie', 'authorization']);
+
+// Build a stable key for a request: method + absolute URL with sorted query parameters
+// Credentials are not part of the key, so recordings can be replayed with any (or no) token
+function cacheKey(config) {
+  const method = (config.method || 'get').toUpperCase();
+  const uri = axios.getUri(config);
+  try {
+    const url = new URL(uri);
+    url.searchParams.sort();
+    return `${method} ${url.toString()}`;
+  } catch {
+    return `${method} ${uri}`;
+  }
+}
+
+// File a recording is stored under
+function cacheFile(dir, key) {
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  return path.join(dir, `${hash}.json`);
+}
+
+// Serialize an adapter response into a JSON-friendly recording
+function toRecording(key, response) {
+  const headers = {};
+  const rawHeaders = response.headers?.toJSON ? response.headers.toJSON() : (response.headers || {});
+  for (const [name, value] of Object.entries(rawHeaders)) {
+    if (!OMITTED_HEADERS.has(name.toLowerCase())) headers[name] = value;
+  }
+
+  const recording = {
+    key,
+    recordedAt: new Date().toISOString(),
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  };
+  if (Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer) {
+    recording.bodyBase64 = Buffer.from(response.data).toString('base64');
+  } else if (typeof response.data === 'string') {
+    recording.body = response.data;
+  } else {
+    recording.body = JSON.stringify(response.data ?? null);
+  }
+  return recording;
+}
+
+// Rebuild an adapter response from a recording
+function fromRecording(recording, config) {
+  return {
+    data: recording.bodyBase64 !== undefined ? Buffer.from(recording.bodyBase64, 'base64') : recording.body,
+    status: recording.status,
+    statusText: recording.statusText || '',
+    headers: new AxiosHeaders(recording.headers || {}),
+    config,
+    request: {}
+  };
+}
+
+// Resolve or reject a response the way axios' own adapters do
+function settle(response) {
+  const validateStatus = response.config.validateStatus;
+  if (!response.status || !validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    response.config,
+    response.request,
+    response
+  );
+}
+
+/**
+ * Create an axios adapter that records to / replays from a cache directory
+ * In record mode every response (including error statuses) is saved after the real request;
+ * in replay mode requests are answered from disk and a missing recording is an error.
+ */
+function createCacheAdapter({ dir, mode, adapter }) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Invalid cache mode "${mode}". Expected one of: ${CACHE_MODES.join(', ')}`);
+  }
+  const networkAdapter = axios.getAdapter(adapter || axios.defaults.adapter);
+
+  return async (config) => {
+    const key = cacheKey(config);
+    const file = cacheFile(dir, key);
+
+    if (mode === 'replay') {
+      let recording;
+      try {
+        recording = JSON.parse(await fs.readFile(file, 'utf-8'));
+      } catch {
+        throw new AxiosError(`No recorded response for ${key}`, 'ERR_CACHE_MISS', config);
+      }
+      return settle(fromRecording(recording, config));
+    }
+
+    let response;
+    let failure = null;
+    try {
+      response = await networkAdapter(config);
+    } catch (error) {
+      if (!error.response) throw error;
+      response = error.response;
+      failure = error;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(toRecording(key, response), null, 2), 'utf-8');
+
+    if (failure) throw failure;
+    return response;
+  };
+}
+
+module.exports = {
+  CACHE_MODES,
+  cacheKey,
+  createCacheAdapter
+};
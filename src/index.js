@@ -4,8 +4,10 @@
  */
 
 const { ConfluenceToVuePress, slugify } = require('./migrator');
+const { ConfluenceExport } = require('./export-reader');
 
 module.exports = {
   ConfluenceToVuePress,
+  ConfluenceExport,
   slugify
 };
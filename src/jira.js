@@ -0,0 +1,178 @@
+/**
+ * Jira Macros
+ * Converts jira / jiraissues macros into issue links, search links, or static tables
+ * built from an offline issue snapshot
+ */
+
+const fs = require('fs').promises;
+const { escapeHtml } = require('./storage-format');
+
+// Columns Confluence shows when a Jira macro does not list its own
+const DEFAULT_COLUMNS = ['key', 'summary', 'status'];
+
+// Rows Confluence shows when a Jira macro does not set maximumIssues
+const DEFAULT_MAXIMUM_ISSUES = 20;
+
+// Macro column names that differ from the Jira field they show
+const COLUMN_FIELDS = { type: 'issuetype', due: 'duedate' };
+
+// Escape text for a Markdown table cell
+function escapeCell(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/</g, '&lt;')
+    .replace(/\r?\n/g, ' ');
+}
+
+// Display value of an issue field, for both flat snapshot issues and Jira REST issues
+// (where fields hold objects such as { name } or { displayName })
+function fieldValue(issue, column) {
+  if (column === 'key') return issue.key;
+  const field = COLUMN_FIELDS[column] || column;
+  const value = issue.fields?.[field] ?? issue.fields?.[column] ?? issue[field] ?? issue[column];
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return value.name ?? value.displayName ?? value.value ?? '';
+  return String(value);
+}
+
+// Normalize a snapshot file into { issues: Map(key -> issue), queries: Map(jql -> [key]) }
+// issues may be an array or an object keyed by issue key; each query maps to a list of
+// issue keys or to a saved Jira search response ({ issues: [...] })
+function normalizeSnapshot(data) {
+  const issues = new Map();
+  const addIssue = (issue, key = issue.key) => {
+    if (key) issues.set(key, { ...issue, key });
+  };
+
+  if (Array.isArray(data.issues)) {
+    data.issues.forEach(issue => addIssue(issue));
+  } else {
+    Object.entries(data.issues || {}).forEach(([key, issue]) => addIssue(issue, key));
+  }
+
+  const queries = new Map();
+  for (const [jql, result] of Object.entries(data.queries || {})) {
+    const found = Array.isArray(result) ? result : (result.issues || []);
+    const keys = found.map(entry => {
+      if (typeof entry === 'string') return entry;
+      addIssue(entry);
+      return entry.key;
+    });
+    queries.set(normalizeJql(jql), keys);
+  }
+  return { issues, queries };
+}
+
+// Queries are matched ignoring surrounding and repeated whitespace
+function normalizeJql(jql) {
+  return jql.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Read and normalize an offline Jira issue snapshot
+ */
+async function loadJiraSnapshot(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read Jira snapshot ${file}: ${error.message}`);
+  }
+  return normalizeSnapshot(data);
+}
+
+// The JQL of a jiraissues macro, which is carried in the query string of its url parameter
+function jqlFromUrl(url) {
+  try {
+    return new URL(url).searchParams.get('jqlQuery');
+  } catch {
+    return null;
+  }
+}
+
+// A single issue: link to the issue, followed by its cached summary and status when known
+function renderIssue(key, { baseUrl, snapshot }) {
+  const link = baseUrl ? `<a href="${baseUrl}/browse/${encodeURIComponent(key)}">${escapeHtml(key)}</a>` : escapeHtml(key);
+  const issue = snapshot?.issues.get(key);
+  if (!issue) return link;
+
+  const summary = fieldValue(issue, 'summary');
+  const status = fieldValue(issue, 'status');
+  return `${link}${summary ? ` ${escapeHtml(summary)}` : ''}${status ? ` (${escapeHtml(status)})` : ''}`;
+}
+
+// The issues a query matched in the snapshot, as a Markdown table, or as an HTML table
+// when the macro sits in a table kept as HTML (Markdown is not rendered there)
+function renderIssueTable(keys, params, { baseUrl, snapshot }, html = false) {
+  const columns = (params.columns || params.columnIds || '')
+    .split(/[,;]/)
+    .map(column => column.trim().toLowerCase())
+    .filter(Boolean);
+  if (columns.length === 0) columns.push(...DEFAULT_COLUMNS);
+
+  const limit = parseInt(params.maximumIssues, 10) || DEFAULT_MAXIMUM_ISSUES;
+  const rows = keys.slice(0, limit).map(key => {
+    const issue = snapshot.issues.get(key) || { key };
+    const issueUrl = baseUrl && `${baseUrl}/browse/${encodeURIComponent(key)}`;
+    return columns.map(column => {
+      if (html) {
+        const value = escapeHtml(fieldValue(issue, column)).replace(/{{/g, '&#123;&#123;');
+        return column === 'key' && issueUrl ? `<a href="${issueUrl}">${value}</a>` : value;
+      }
+      const value = escapeCell(fieldValue(issue, column));
+      return column === 'key' && issueUrl ? `[${value}](${issueUrl})` : value;
+    });
+  });
+
+  const header = columns.map(column => column.charAt(0).toUpperCase() + column.slice(1));
+  if (html) {
+    const row = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+    return `<table><thead>${row(header, 'th')}</thead><tbody>${rows.map(cells => row(cells, 'td')).join('')}</tbody></table>`;
+  }
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Create the converter for jira and jiraissues macros
+ * getOptions returns { baseUrl, snapshot } at conversion time, so a snapshot loaded
+ * after registration is picked up. Single issues become links; queries become a table
+ * when the snapshot holds their results and a link to the Jira search otherwise.
+ */
+function createJiraMacro(getOptions) {
+  return (macro) => {
+    const options = getOptions();
+    const { params } = macro;
+
+    if (params.key) {
+      return renderIssue(params.key.trim(), options);
+    }
+
+    const jql = params.jqlQuery || (params.url && jqlFromUrl(params.url));
+    if (!jql) {
+      return params.url ? `<p><a href="${escapeHtml(params.url)}">Jira issues</a></p>` : '';
+    }
+
+    const keys = options.snapshot?.queries.get(normalizeJql(jql));
+    if (keys) {
+      return macro.inTable
+        ? renderIssueTable(keys, params, options, true)
+        : { markdown: renderIssueTable(keys, params, options) };
+    }
+
+    if (!options.baseUrl) {
+      return `<p>Jira issues: <code>${escapeHtml(jql)}</code></p>`;
+    }
+    const searchUrl = `${options.baseUrl}/issues/?jql=${encodeURIComponent(jql)}`;
+    return `<p><a href="${searchUrl}">Jira issues: ${escapeHtml(jql)}</a></p>`;
+  };
+}
+
+module.exports = {
+  createJiraMacro,
+  loadJiraSnapshot
+};
@@ -8,6 +8,46 @@ const TurndownService = require('turndown');
 const turndownPluginGfm = require('turndown-plugin-gfm');
 const fs = require('fs').promises;
 const path = require('path');
+const { ConfluenceExport } = require('./export-reader');
+const { CACHE_MODES, createCacheAdapter } = require('./http-cache');
+const { createJiraMacro, loadJiraSnapshot } = require('./jira');
+const {
+  DEFAULT_MACROS, getTocLevels, getUserMentions, preprocessConfluenceHtml, sanitizeFilename, slugify, userId
+} = require('./storage-format');
+
+// Manifest of the previous run, used for incremental sync
+const MANIFEST_FILE = '.confluence-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Append-only log of pages completed by the current run, used by --resume after an interruption
+const CHECKPOINT_FILE = '.confluence-checkpoint.jsonl';
+const CHECKPOINT_VERSION = 1;
+
+// Supported prune modes
+const PRUNE_MODES = ['delete', 'archive', 'dry-run'];
+
+// Folder blog posts are written under, as blog/YYYY/MM/slug/
+const BLOG_DIR = 'blog';
+
+// Where page comments go: a section appended to README.md, or a sibling comments.md
+const COMMENT_MODES = ['section', 'file'];
+
+// Machine-readable summary of failures, written to the output directory in continue-on-error mode
+const REPORT_FILE = 'migration-report.json';
+
+// Folder (inside each page folder) previous versions are written to, as vN.md
+const HISTORY_DIR = 'history';
+
+// Helper to count how deeply custom containers are nested inside a node
+function containerDepth(node) {
+  let depth = 0;
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType !== 1) continue;
+    const nested = containerDepth(child) + (child.hasAttribute('data-container') ? 1 : 0);
+    depth = Math.max(depth, nested);
+  }
+  return depth;
+}
 
 // Initialize Turndown for HTML to Markdown conversion
 function createTurndownService() {
@@ -43,195 +83,203 @@ function createTurndownService() {
     }
   });
 
-  return turndownService;
-}
-
-// Pre-process Confluence HTML to convert special elements before Turndown
-function preprocessConfluenceHtml(html, pageSlug, attachments = []) {
-  // Build fileId to path mapping for blob images
-  const fileIdMap = {};
-  attachments.forEach(att => {
-    if (att.fileId) {
-      fileIdMap[att.fileId] = att.path;
+  // VuePress custom containers (panels); outer containers get longer fences than nested ones
+  turndownService.addRule('vuepressContainer', {
+    filter: function (node) {
+      return node.nodeName === 'DIV' && node.hasAttribute('data-container');
+    },
+    replacement: function (content, node) {
+      const fence = ':'.repeat(3 + containerDepth(node));
+      const title = node.getAttribute('data-container-title');
+      const heading = `${fence} ${node.getAttribute('data-container')}${title ? ` ${title}` : ''}`;
+      return `\n\n${heading}\n${content.trim()}\n${fence}\n\n`;
     }
   });
 
-  // Convert blob images with data-fileid to local paths
-  html = html.replace(
-    /<img[^>]*data-fileid="([^"]+)"[^>]*>/gi,
-    (match, fileId) => {
-      const localPath = fileIdMap[fileId];
-      if (localPath) {
-        const altMatch = match.match(/alt="([^"]*)"/);
-        const alt = altMatch ? altMatch[1] : 'image';
-        return `<img src="${localPath}" alt="${alt}" />`;
-      }
-      return match;
-    }
-  );
-
-  // Remove SVG elements (icons, decorations)
-  html = html.replace(/<svg[^>]*>[\s\S]*?<\/svg>/gi, '');
-
-  // Remove heading anchor buttons and wrappers
-  html = html.replace(/<span[^>]*class="[^"]*heading-anchor-wrapper[^"]*"[^>]*>[\s\S]*?<\/span>/gi, '');
-  html = html.replace(/<button[^>]*data-testid="anchor-button"[^>]*>[\s\S]*?<\/button>/gi, '');
-  html = html.replace(/<span[^>]*data-testid="visually-hidden[^"]*"[^>]*>[\s\S]*?<\/span>/gi, '');
-
-  // Convert Atlassian Editor panels to blockquotes
-  // Extract content from ak-editor-panel and convert to blockquote with type prefix
-  html = html.replace(
-    /<div[^>]*class="[^"]*ak-editor-panel[^"]*"[^>]*data-panel-type="([^"]*)"[^>]*>[\s\S]*?<div[^>]*class="[^"]*ak-editor-panel__content[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<\/div>/gi,
-    (match, panelType, content) => {
-      const prefix = panelType ? `**${panelType.toUpperCase()}:** ` : '';
-      return `<blockquote>${prefix}${content}</blockquote>`;
-    }
-  );
-
-  // Remove panel icon divs that might remain
-  html = html.replace(/<div[^>]*class="[^"]*ak-editor-panel__icon[^"]*"[^>]*>[\s\S]*?<\/div>/gi, '');
-
-  // Remove data-loadable wrapper spans (keep content)
-  html = html.replace(/<span[^>]*data-loadable-vc-wrapper[^>]*>([\s\S]*?)<\/span>/gi, '$1');
-
-  // Convert <ac:image> to standard <img> tags
-  // Handle both ri:attachment (local files) and ri:url (external images)
-  html = html.replace(/<ac:image[^>]*>([\s\S]*?)<\/ac:image>/gi, (match, inner) => {
-    // Check for ri:attachment with filename
-    const filenameMatch = inner.match(/ri:filename="([^"]+)"/);
-    if (filenameMatch) {
-      const filename = filenameMatch[1];
-      const safeFilename = sanitizeFilename(filename);
-      const imgPath = `./attachments/${pageSlug}/${safeFilename}`;
-      return `<img src="${imgPath}" alt="${safeFilename}" />`;
-    }
-    // Check for ri:url with external link
-    const urlMatch = inner.match(/ri:value="([^"]+)"/);
-    if (urlMatch) {
-      return `<img src="${urlMatch[1]}" alt="external-image" />`;
-    }
-    return match;
+  // Confluence tasks as GFM task list items; nested lists are indented under the item
+  turndownService.addRule('taskListItem', {
+    filter: function (node) {
+      return node.nodeName === 'LI' && node.hasAttribute('data-task-status');
+    },
+    replacement: function (content, node) {
+      const checkbox = node.getAttribute('data-task-status') === 'complete' ? '[x]' : '[ ]';
+      content = content
+        .replace(/^\n+/, '')
+        .replace(/\n+$/, '\n')
+        .replace(/\n(?!$)/gm, '\n  ');
+      return `- ${checkbox} ${content}${node.nextSibling && !/\n$/.test(content) ? '\n' : ''}`;
+    }
   });
 
-  // Convert Confluence info/note/warning/tip panels to blockquotes
-  // These are ac:structured-macro with ac:name="info|note|warning|tip"
-  html = html.replace(
-    /<ac:structured-macro[^>]*ac:name="(info|note|warning|tip)"[^>]*>[\s\S]*?<ac:rich-text-body>([\s\S]*?)<\/ac:rich-text-body>[\s\S]*?<\/ac:structured-macro>/gi,
-    (match, panelType, content) => {
-      const prefix = `**${panelType.toUpperCase()}:** `;
-      return `<blockquote>${prefix}${content}</blockquote>`;
-    }
-  );
-
-  // Convert Confluence code macros to HTML pre/code blocks
-  // These are ac:structured-macro with ac:name="code" containing ac:plain-text-body with CDATA
-  // Helper function to convert code content to pre/code HTML
-  const convertCodeBlock = (codeContent, language = '') => {
-    // Convert tabs to newlines to ensure proper code block formatting
-    // (Confluence sometimes uses tabs as line separators in CDATA)
-    let code = codeContent.replace(/\t/g, '\n');
-    // Escape any HTML-like content in the code to prevent parsing issues
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-    return `<pre><code class="language-${language}">${escapedCode}</code></pre>`;
-  };
+  // Line breaks in GFM table cells stay as <br/>, as a Markdown line break would end the row
+  turndownService.addRule('tableCellLineBreak', {
+    filter: function (node) {
+      if (node.nodeName !== 'BR') return false;
+      for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (parent.nodeName === 'TD' || parent.nodeName === 'TH') return true;
+      }
+      return false;
+    },
+    replacement: function () {
+      return '<br/>';
+    }
+  });
 
-  // First handle code macros WITH language parameter
-  html = html.replace(
-    /<ac:structured-macro[^>]*ac:name="code"[^>]*>[\s\S]*?<ac:parameter[^>]*ac:name="language"[^>]*>([^<]*)<\/ac:parameter>[\s\S]*?<ac:plain-text-body><!\[CDATA\[([\s\S]*?)\]\]><\/ac:plain-text-body>[\s\S]*?<\/ac:structured-macro>/gi,
-    (match, language, codeContent) => convertCodeBlock(codeContent, language)
-  );
-
-  // Then handle code macros WITHOUT language parameter (or language comes after plain-text-body)
-  html = html.replace(
-    /<ac:structured-macro[^>]*ac:name="code"[^>]*>[\s\S]*?<ac:plain-text-body><!\[CDATA\[([\s\S]*?)\]\]><\/ac:plain-text-body>[\s\S]*?<\/ac:structured-macro>/gi,
-    (match, codeContent) => convertCodeBlock(codeContent)
-  );
-
-  // Remove self-closing Confluence macros (like TOC)
-  html = html.replace(/<ac:structured-macro[^>]*\/>/gi, '');
-
-  // Remove other Confluence macros with closing tags, BUT preserve any img tags inside them
-  html = html.replace(/<ac:structured-macro[^>]*>[\s\S]*?<\/ac:structured-macro>/gi, (match) => {
-    // Extract any img tags inside this macro to preserve them
-    const imgTags = match.match(/<img[^>]*>/gi);
-    if (imgTags && imgTags.length > 0) {
-      return imgTags.join('\n');
-    }
-    return '';
+  // Markdown returned by macro converters, passed through unescaped
+  turndownService.addRule('macroMarkdown', {
+    filter: function (node) {
+      return node.hasAttribute('data-macro-markdown');
+    },
+    replacement: function (content, node) {
+      return node.nodeName === 'PRE' ? '\n\n' + node.textContent + '\n\n' : node.textContent;
+    }
   });
 
-  html = html.replace(/<ac:parameter[^>]*>[\s\S]*?<\/ac:parameter>/gi, '');
-
-  // Clean up table HTML for better markdown conversion
-  // Remove colgroup/col elements that confuse Turndown
-  html = html.replace(/<colgroup>[\s\S]*?<\/colgroup>/gi, '');
-  // Remove data attributes from table elements
-  html = html.replace(/<table[^>]*>/gi, '<table>');
-  // Strip <p> tags from inside table cells (keep content)
-  // Note: Match <p> or <p with space/attributes, NOT <pre> or <param> etc
-  html = html.replace(/(<t[hd][^>]*>)\s*<p(?:\s[^>]*)?>([\s\S]*?)<\/p>\s*(<\/t[hd]>)/gi, '$1$2$3');
-  // Handle cells with multiple <p> tags or lists - convert to breaks
-  html = html.replace(/<\/p>\s*<p(?:\s[^>]*)?>/gi, '<br/>');
-  // Clean remaining <p> tags in cells
-  html = html.replace(/(<t[hd][^>]*>)\s*<p(?:\s[^>]*)?>/gi, '$1');
-  html = html.replace(/<\/p>\s*(<\/t[hd]>)/gi, '$1');
-  // Clean up attributes on th/td (but not thead/tbody)
-  html = html.replace(/<(th|td)\s+[^>]*>/gi, '<$1>');
-  // Move header row (containing <th>) from tbody to thead for proper markdown conversion
-  html = html.replace(
-    /<table>\s*<tbody>\s*(<tr>(?:\s*<th>[\s\S]*?<\/th>\s*)+<\/tr>)/gi,
-    '<table><thead>$1</thead><tbody>'
-  );
-
-  // Convert <ac:link> to standard links - handle multiple formats
-  // Format 1: <ac:link-body>text</ac:link-body>
-  html = html.replace(
-    /<ac:link[^>]*>[\s\S]*?<ri:page\s+ri:content-title="([^"]+)"[^>]*\/>[\s\S]*?<ac:link-body>([^<]*)<\/ac:link-body>[\s\S]*?<\/ac:link>/gi,
-    (match, pageTitle, linkText) => {
-      const slug = pageTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-      return `<a href="CONFLUENCE_LINK:${slug}">${linkText || pageTitle}</a>`;
-    }
-  );
-
-  // Format 2: <ac:plain-text-link-body><![CDATA[text]]></ac:plain-text-link-body>
-  html = html.replace(
-    /<ac:link[^>]*>[\s\S]*?<ri:page\s+ri:content-title="([^"]+)"[^>]*\/>[\s\S]*?<ac:plain-text-link-body><!\[CDATA\[([^\]]+)\]\]><\/ac:plain-text-link-body>[\s\S]*?<\/ac:link>/gi,
-    (match, pageTitle, linkText) => {
-      const slug = pageTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-      return `<a href="CONFLUENCE_LINK:${slug}">${linkText || pageTitle}</a>`;
-    }
-  );
-
-  // Format 3: Just ri:page without explicit link body - use page title as link text
-  html = html.replace(
-    /<ac:link[^>]*>[\s\S]*?<ri:page\s+ri:content-title="([^"]+)"[^>]*\/>[\s\S]*?<\/ac:link>/gi,
-    (match, pageTitle) => {
-      const slug = pageTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-      return `<a href="CONFLUENCE_LINK:${slug}">${pageTitle}</a>`;
-    }
-  );
-
-  return html;
-}
-
-// Utility: slugify page title for filename
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-|-$/g, '');
-}
-
-// Utility: sanitize filename for Windows/cross-platform compatibility
-function sanitizeFilename(filename) {
-  // Replace characters invalid on Windows: < > : " / \ | ? *
-  // Also replace spaces with underscores for better URL compatibility
-  return filename
-    .replace(/[<>:"/\\|?*]/g, '_')
-    .replace(/\s+/g, '_');
+  return turndownService;
+}
+
+// Utility: replace each outermost HTML table (nested tables included) in Markdown
+function replaceHtmlTables(markdown, replacer) {
+  let result = '';
+  let depth = 0;
+  let start = 0;
+  let last = 0;
+  for (const match of markdown.matchAll(/<(\/?)table\b[^>]*>/gi)) {
+    if (!match[1]) {
+      if (depth++ === 0) start = match.index;
+    } else if (depth > 0 && --depth === 0) {
+      const end = match.index + match[0].length;
+      result += markdown.slice(last, start) + replacer(markdown.slice(start, end));
+      last = end;
+    }
+  }
+  return result + markdown.slice(last);
+}
+
+// Utility: quote a frontmatter value when YAML would otherwise misread it
+function yamlValue(value) {
+  const needsQuotes = /[:\[\]{}&*#?|\-<>=!%@`]/.test(value);
+  return needsQuotes ? `"${value.replace(/"/g, '\\"')}"` : value;
+}
+
+// Helper to get a blog post's publication date (YYYY-MM-DD) from its history
+function getBlogPostDate(post) {
+  const date = post.history?.createdDate || post.version?.when;
+  return date ? date.slice(0, 10) : null;
+}
+
+// Helper to get the folder of a blog post: blog/YYYY/MM, or blog/ without a date
+function getBlogPostFolder(post) {
+  const date = getBlogPostDate(post);
+  return date ? [BLOG_DIR, date.slice(0, 4), date.slice(5, 7)].join('/') : BLOG_DIR;
+}
+
+// Helper to give each blog post a unique slug within its folder
+// The oldest post with a title keeps the plain slug, so newer posts never move it;
+// later ones get their post ID appended
+function getBlogPostSlugs(posts) {
+  const created = (post) => post.history?.createdDate || post.version?.when || '';
+  const oldestFirst = [...posts].sort((a, b) => created(a).localeCompare(created(b)) || String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+  const slugs = new Map();
+  const taken = new Set();
+  for (const post of oldestFirst) {
+    let slug = slugify(post.title);
+    const folder = getBlogPostFolder(post);
+    if (taken.has(`${folder}/${slug}`)) {
+      console.log(`  ⚠ Blog post "${post.title}" (${post.id}) shares its title with another post in ${folder}/`);
+      slug = `${slug}-${post.id}`;
+    }
+    taken.add(`${folder}/${slug}`);
+    slugs.set(post.id, slug);
+  }
+  return slugs;
+}
+
+// Helper to quote plain text within a line of Markdown: whitespace is collapsed, HTML and
+// Markdown characters are escaped, and mustaches are encoded so Vue does not interpolate them
+function escapeInlineText(text, turndownService) {
+  const html = text.replace(/\s+/g, ' ').trim()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  return turndownService.escape(html).replace(/{{/g, '&#123;&#123;');
+}
+
+// Helper to arrange a page's comments into threads, oldest first
+// Replies point at their parent through ancestors; replies of dropped comments are dropped too
+function buildCommentThreads(comments, excludeResolved = false) {
+  const isResolvedInline = (comment) => comment.extensions?.location === 'inline'
+    && comment.extensions?.resolution?.status === 'resolved';
+  const kept = comments.filter(comment => !(excludeResolved && isResolvedInline(comment)));
+  const byCreated = (a, b) => (a.history?.createdDate || '').localeCompare(b.history?.createdDate || '');
+
+  const nodes = new Map(kept.map(comment => [comment.id, { comment, replies: [] }]));
+  const threads = [];
+  for (const node of [...nodes.values()].sort((a, b) => byCreated(a.comment, b.comment))) {
+    const parentId = node.comment.ancestors?.[node.comment.ancestors.length - 1]?.id;
+    if (!parentId) {
+      threads.push(node);
+    } else if (nodes.has(parentId)) {
+      nodes.get(parentId).replies.push(node);
+    }
+  }
+  return threads;
+}
+
+// Helper to normalize the history option: false, 'all' or a number of previous versions
+function normalizeHistory(value) {
+  if (value === true) return 'all';
+  if (!value) return false;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : value;
+}
+
+// Helper to render the "Page history" table linking a page's previous versions
+function renderHistoryBlock(page, entries) {
+  const cell = (value) => String(value || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const current = page.version || {};
+  const rows = [
+    `| ${current.number ?? ''} (current) | ${cell(current.when?.slice(0, 10))} | ${cell(current.by?.displayName)} | ${cell(current.message)} |`,
+    ...entries.map(entry => `| [${entry.version}](./${entry.file}) | ${cell(entry.date)} | ${cell(entry.author)} | ${cell(entry.message)} |`)
+  ];
+  return `## Page history
+
+| Version | Date | Author | Comment |
+| --- | --- | --- | --- |
+${rows.join('\n')}
+`;
+}
+
+// Utility: normalize a list option given as an array or a comma-separated string
+function toList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Helper to compile a title filter: /regex/flags, or a case-insensitive glob (* and ?) matching the whole title
+function compileTitlePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const regexMatch = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const glob = String(pattern).split(/([*?])/)
+    .map(part => (part === '*' ? '.*' : part === '?' ? '.' : escapeRegex(part)))
+    .join('');
+  return new RegExp(`^${glob}$`, 'i');
+}
+
+// Helper to get a page's global label names (lowercase) from its metadata
+function getPageLabels(page) {
+  return (page.metadata?.labels?.results || []).map(label => label.name.toLowerCase());
+}
+
+// Helper to fingerprint a page's comments, so comment changes reconvert an otherwise unchanged page
+function commentsSignature(comments) {
+  return comments
+    .map(comment => `${comment.id}.${comment.version?.number ?? 0}.${comment.extensions?.resolution?.status || ''}`)
+    .sort()
+    .join(',');
 }
 
 // Utility: create safe directory path
@@ -243,6 +291,116 @@ async function ensureDir(dirPath) {
   }
 }
 
+// Helper to resolve a _links.next value into a URL usable by the API client
+// Confluence returns it relative to _links.base (e.g. /rest/api/content/1/child/page?start=100)
+function resolveNextLink(next, links = {}) {
+  if (/^https?:\/\//i.test(next)) return next;
+  if (links.base) return links.base.replace(/\/$/, '') + next;
+  // Without a base, strip the REST prefix so the path is relative to the client baseURL
+  return next.replace(/^.*?\/rest\/api(?=\/)/, '');
+}
+
+// Supported Confluence deployment types
+const DEPLOYMENT_TYPES = ['cloud', 'server', 'datacenter'];
+
+// Helper to normalize the context path Confluence is served under
+// Cloud always lives under /wiki; Server/Data Center default to the web root
+function normalizeContextPath(contextPath, deploymentType = 'cloud') {
+  if (contextPath === undefined || contextPath === null) {
+    return deploymentType === 'cloud' ? '/wiki' : '';
+  }
+  const trimmed = String(contextPath).trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+// Utility: wait for a number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Utility: limit how many async tasks run at once
+// Returns a function that queues a task and resolves with its result
+function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Helper to decide whether a failed request is worth retrying
+// Rate limits (429), server errors (5xx) and dropped connections are transient
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'].includes(error.code);
+}
+
+// Helper to compute the wait before a retry: Retry-After when sent, otherwise exponential backoff
+function getRetryDelay(error, attempt, baseDelay = 1000, maxDelay = 60000) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter !== undefined && retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.min(Math.max(0, seconds * 1000), maxDelay);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.min(Math.max(0, date - Date.now()), maxDelay);
+    }
+  }
+  const backoff = baseDelay * 2 ** (attempt - 1);
+  const jitter = Math.random() * baseDelay;
+  return Math.min(backoff + jitter, maxDelay);
+}
+
+// Utility: remove the folders of the given files (relative to root) that are left empty,
+// walking up to and including the top folder; folders with other content are kept
+async function removeEmptyDirs(root, files, top) {
+  const dirs = new Set();
+  for (const file of files) {
+    for (let dir = path.posix.dirname(file); `${dir}/`.startsWith(top); dir = path.posix.dirname(dir)) {
+      dirs.add(dir);
+    }
+  }
+  // Deepest first, so parents are empty by the time they are reached
+  for (const dir of [...dirs].sort((a, b) => b.length - a.length)) {
+    try {
+      await fs.rmdir(path.join(root, dir));
+    } catch {
+      // Not empty (or already gone)
+    }
+  }
+}
+
+// Utility: check whether a file exists
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 // Helper to escape special regex characters in filenames
 function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -260,35 +418,261 @@ class ConfluenceToVuePress {
       outputDir: options.outputDir || './docs',
       email: options.email || process.env.CONFLUENCE_EMAIL,
       apiToken: options.apiToken || process.env.CONFLUENCE_API_TOKEN,
+      personalAccessToken: options.personalAccessToken || process.env.CONFLUENCE_PERSONAL_ACCESS_TOKEN,
+      deploymentType: (options.deploymentType || process.env.CONFLUENCE_DEPLOYMENT_TYPE || 'cloud').toLowerCase(),
+      contextPath: options.contextPath ?? process.env.CONFLUENCE_CONTEXT_PATH,
       siteTitle: options.siteTitle || 'Documentation',
       siteDescription: options.siteDescription || 'Migrated from Confluence',
       downloadExternalImages: options.downloadExternalImages !== false,
+      fromExport: options.fromExport || null,
+      blogPosts: options.blogPosts === true,
+      comments: options.comments === true ? 'section' : (options.comments || false),
+      excludeResolvedComments: options.excludeResolvedComments === true,
+      history: normalizeHistory(options.history),
+      includeLabels: toList(options.includeLabels),
+      excludeLabels: toList(options.excludeLabels),
+      includeTitles: toList(options.includeTitles),
+      excludeTitles: toList(options.excludeTitles),
+      maxDepth: options.maxDepth !== undefined && options.maxDepth !== null ? parseInt(options.maxDepth, 10) : null,
+      concurrency: parseInt(options.concurrency, 10) || 4,
+      maxRetries: options.maxRetries !== undefined && options.maxRetries !== null ? parseInt(options.maxRetries, 10) : 5,
+      retryBaseDelay: options.retryBaseDelay ?? 1000,
+      force: options.force === true,
+      continueOnError: options.continueOnError === true,
+      resume: options.resume === true,
+      prune: options.prune === true ? 'delete' : (options.prune || false),
+      archiveDir: options.archiveDir || null,
+      // record / replay name a cache directory and its mode at once
+      record: options.record || null,
+      replay: options.replay || null,
+      cacheDir: options.replay || options.record || options.cacheDir || null,
+      cacheMode: options.replay ? 'replay' : (options.record ? 'record' : (options.cacheMode || null)),
+      jiraUrl: options.jiraUrl ? options.jiraUrl.replace(/\/+$/, '') : null,
+      jiraSnapshot: options.jiraSnapshot || null,
+      userMap: options.userMap || null,
     };
 
+    this.config.contextPath = normalizeContextPath(this.config.contextPath, this.config.deploymentType);
+
     this.turndownService = createTurndownService();
+
+    // Macro converters keyed by macro name: the built-ins, then any from the config
+    this.macros = new Map(Object.entries(DEFAULT_MACROS));
+    const jiraMacro = createJiraMacro(() => ({ baseUrl: this.config.jiraUrl, snapshot: this.jiraSnapshot }));
+    this.macros.set('jira', jiraMacro);
+    this.macros.set('jiraissues', jiraMacro);
+    for (const [name, converter] of Object.entries(options.macros || {})) {
+      this.registerMacro(name, converter);
+    }
+
     this.pageMap = new Map();
+    this.retrievalCounts = new Map();
+    this.rootPageIds = [];
+    this.blogPostIds = [];
+    this.skippedPages = [];
+    this.failures = [];
+    this.exportSource = null;
+    this.jiraSnapshot = null;
+
+    // Display names by user identifier (null when a user could not be resolved), and lookups in flight
+    this.userNames = new Map();
+    this.userLookups = new Map();
+
+    // Incremental sync state: what the last run wrote, and what this run writes
+    this.previousManifest = { pages: {} };
+    this.manifestPages = {};
+    this.syncStats = { updated: 0, unchanged: 0 };
+
+    // Pages kept from the previous run, with how to rewrite them when their links go stale
+    this.unchangedPages = new Map();
+
+    // Pages whose children or attachments could not be listed; never pruned
+    this.incompletePages = new Set();
+
+    // Orphaned output left in place by this run, kept in the manifest for a later --prune
+    this.orphans = [];
+
+    // Checkpoint state: pages completed by an interrupted run, and serialized appends to the log
+    this.resumeState = new Map();
+    this.checkpointPath = null;
+    this.checkpointWrites = Promise.resolve();
+
+    // Separate limits so attachment downloads cannot starve page fetches
+    this.pageLimit = createLimiter(this.config.concurrency);
+    this.attachmentLimit = createLimiter(this.config.concurrency);
 
     // API client
+    const authOptions = this.getAuthOptions();
     this.api = axios.create({
-      baseURL: `${this.config.confluenceUrl}/wiki/rest/api`,
+      baseURL: `${this.getSiteUrl()}/rest/api`,
+      ...authOptions,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        ...authOptions.headers
+      }
+    });
+
+    // Client for attachment and external image downloads
+    this.http = axios.create();
+
+    // Retry rate-limited and failed requests with exponential backoff
+    for (const client of [this.api, this.http]) {
+      client.interceptors.response.use(null, error => this.retryRequest(error, client));
+    }
+
+    // Record responses to (or replay them from) a cache directory beneath both clients
+    if (this.config.cacheDir && CACHE_MODES.includes(this.config.cacheMode)) {
+      for (const client of [this.api, this.http]) {
+        client.defaults.adapter = createCacheAdapter({
+          dir: this.config.cacheDir,
+          mode: this.config.cacheMode,
+          adapter: client.defaults.adapter
+        });
+      }
+    }
+  }
+
+  /**
+   * Resend a failed request after a backoff delay, up to maxRetries times
+   */
+  async retryRequest(error, client) {
+    const requestConfig = error.config;
+    if (!requestConfig || !isRetryableError(error)) {
+      throw error;
+    }
+
+    const attempt = (requestConfig.retryCount || 0) + 1;
+    if (attempt > this.config.maxRetries) {
+      throw error;
+    }
+
+    const delay = getRetryDelay(error, attempt, this.config.retryBaseDelay);
+    const reason = error.response?.status || error.code;
+    console.log(`  ↻ ${reason} for ${requestConfig.url}, retry ${attempt}/${this.config.maxRetries} in ${Math.round(delay)}ms`);
+    await sleep(delay);
+
+    requestConfig.retryCount = attempt;
+    return client.request(requestConfig);
+  }
+
+  /**
+   * Base URL of the Confluence web application (including its context path)
+   */
+  getSiteUrl() {
+    return `${(this.config.confluenceUrl || '').replace(/\/+$/, '')}${this.config.contextPath}`;
+  }
+
+  /**
+   * Axios auth options for the configured deployment
+   * Personal access tokens (Server/Data Center) use bearer auth, everything else basic auth
+   */
+  getAuthOptions() {
+    if (this.config.personalAccessToken) {
+      return { headers: { Authorization: `Bearer ${this.config.personalAccessToken}` } };
+    }
+    return {
       auth: {
         username: this.config.email,
         password: this.config.apiToken
-      },
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
       }
+    };
+  }
+
+  /**
+   * Record a failed page, attachment or external image together with its cause
+   */
+  recordFailure(type, pageId, item, error) {
+    this.failures.push({
+      type,
+      pageId: pageId ?? null,
+      item: item ?? null,
+      status: error.response?.status ?? null,
+      message: error.message
     });
   }
 
+  /**
+   * Handle a page that could not be fetched or converted
+   * Aborts the run unless continueOnError is set; the page's previous output is then kept (never pruned)
+   */
+  handlePageFailure(error, pageId, title, indent = '') {
+    if (!this.config.continueOnError) throw error;
+    console.error(`${indent}  ✗ Failed to migrate page ${title || pageId}: ${error.response?.status || error.message}`);
+    this.recordFailure('page', pageId, title, error);
+    this.incompletePages.add(pageId);
+    return false;
+  }
+
   /**
    * Validate configuration
    */
   validateConfig() {
-    const required = ['confluenceUrl', 'rootPageId', 'email', 'apiToken'];
+    if (!DEPLOYMENT_TYPES.includes(this.config.deploymentType)) {
+      throw new Error(`Invalid deploymentType "${this.config.deploymentType}". Expected one of: ${DEPLOYMENT_TYPES.join(', ')}`);
+    }
+
+    if (this.config.prune && !PRUNE_MODES.includes(this.config.prune)) {
+      throw new Error(`Invalid prune mode "${this.config.prune}". Expected one of: ${PRUNE_MODES.join(', ')}`);
+    }
+
+    if (this.config.comments && !COMMENT_MODES.includes(this.config.comments)) {
+      throw new Error(`Invalid comments mode "${this.config.comments}". Expected one of: ${COMMENT_MODES.join(', ')}`);
+    }
+
+    const history = this.config.history;
+    if (history && history !== 'all' && !(Number.isInteger(history) && history > 0)) {
+      throw new Error(`Invalid history "${history}". Expected a number of versions or "all"`);
+    }
+
+    if (this.config.maxDepth !== null && !(this.config.maxDepth >= 0)) {
+      throw new Error('Invalid maxDepth. Expected a number of levels below the root page(s)');
+    }
+    if (!(Number.isInteger(this.config.maxRetries) && this.config.maxRetries >= 0)) {
+      throw new Error('Invalid maxRetries. Expected a number of retries (0 or more)');
+    }
+    for (const pattern of [...this.config.includeTitles, ...this.config.excludeTitles]) {
+      try {
+        compileTitlePattern(pattern);
+      } catch (error) {
+        throw new Error(`Invalid title pattern "${pattern}": ${error.message}`);
+      }
+    }
+
+    if (this.config.cacheMode && !CACHE_MODES.includes(this.config.cacheMode)) {
+      throw new Error(`Invalid cacheMode "${this.config.cacheMode}". Expected one of: ${CACHE_MODES.join(', ')}`);
+    }
+    if (this.config.record && this.config.replay) {
+      throw new Error('Conflicting configuration: record and replay cannot be used together');
+    }
+    if (this.config.cacheMode && !this.config.cacheDir) {
+      throw new Error('Missing required configuration: cacheDir (for cacheMode)');
+    }
+    if (this.config.cacheDir && !this.config.cacheMode) {
+      throw new Error(`Missing required configuration: cacheMode (for cacheDir). Expected one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    // Offline imports read everything from the export archive
+    if (this.config.fromExport) return;
+
+    const required = ['confluenceUrl'];
     const missing = required.filter(key => !this.config[key]);
 
+    // A personal access token replaces the email + API token pair; replays need no credentials
+    if (!this.config.personalAccessToken && this.config.cacheMode !== 'replay') {
+      missing.push(...['email', 'apiToken'].filter(key => !this.config[key]));
+    }
+
+    // Blog posts belong to a space rather than a page tree
+    if (this.config.blogPosts && !this.config.spaceKey) {
+      missing.push('spaceKey (for blog posts)');
+    }
+
+    // A space key alone is enough: the whole space is migrated from its top-level pages
+    if (!this.config.rootPageId && !this.config.spaceKey) {
+      missing.push('rootPageId (or spaceKey)');
+    }
+
     if (missing.length > 0) {
       throw new Error(`Missing required configuration: ${missing.join(', ')}`);
     }
@@ -299,6 +683,15 @@ class ConfluenceToVuePress {
    */
   async testConnection() {
     try {
+      if (!this.config.rootPageId && this.config.spaceKey) {
+        const space = await this.fetchSpace(this.config.spaceKey);
+        return {
+          success: true,
+          pageTitle: space.homepage?.title || space.name,
+          spaceKey: space.key
+        };
+      }
+
       const response = await this.api.get(`/content/${this.config.rootPageId}`, {
         params: { expand: 'version' }
       });
@@ -311,16 +704,103 @@ class ConfluenceToVuePress {
       return {
         success: false,
         error: error.response?.status === 401
-          ? 'Authentication failed. Check your email and API token.'
+          ? (this.config.personalAccessToken
+            ? 'Authentication failed. Check your personal access token.'
+            : 'Authentication failed. Check your email and API token.')
           : error.message
       };
     }
   }
 
+  /**
+   * Fetch space metadata including its homepage
+   */
+  async fetchSpace(spaceKey) {
+    const response = await this.api.get(`/space/${spaceKey}`, {
+      params: { expand: 'homepage' }
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch the top-level pages of a space, homepage first
+   * Orphaned pages that live outside the homepage tree are top-level too
+   */
+  async fetchSpaceRootPages(spaceKey) {
+    const space = await this.fetchSpace(spaceKey);
+    const pages = await this.fetchAllResults(`/space/${spaceKey}/content/page`, {
+      limit: 100,
+      depth: 'root',
+      expand: 'extensions.position'
+    });
+
+    const homepageId = space.homepage?.id;
+    pages.sort((a, b) => {
+      if (a.id === homepageId) return -1;
+      if (b.id === homepageId) return 1;
+      const posA = a.extensions?.position ?? 999999;
+      const posB = b.extensions?.position ?? 999999;
+      return posA - posB;
+    });
+
+    if (homepageId && !pages.some(p => p.id === homepageId)) {
+      pages.unshift(space.homepage);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Fetch the blog posts of a space, newest first
+   */
+  async fetchBlogPosts(spaceKey) {
+    const posts = await this.fetchAllResults(`/space/${spaceKey}/content/blogpost`, {
+      limit: 100,
+      expand: 'version,history'
+    });
+    return posts.sort((a, b) => (getBlogPostDate(b) || '').localeCompare(getBlogPostDate(a) || ''));
+  }
+
+  /**
+   * Determine which pages the migration starts from
+   */
+  async resolveRootPageIds() {
+    if (this.config.rootPageId) {
+      return [this.config.rootPageId];
+    }
+
+    if (this.exportSource) {
+      const pageIds = this.exportSource.getRootPageIds();
+      if (pageIds.length === 0) {
+        throw new Error(`No pages found in export ${this.config.fromExport}`);
+      }
+      return pageIds;
+    }
+
+    console.log(`🔍 Discovering top-level pages in space ${this.config.spaceKey}...`);
+    const pages = await this.fetchSpaceRootPages(this.config.spaceKey);
+    if (pages.length === 0) {
+      throw new Error(`No pages found in space ${this.config.spaceKey}`);
+    }
+    console.log(`  Found ${pages.length} top-level page(s)\n`);
+    return pages.map(page => page.id);
+  }
+
+  /**
+   * Root page IDs of the migrated tree(s)
+   */
+  getRootPageIds() {
+    return this.rootPageIds.length > 0 ? this.rootPageIds : [this.config.rootPageId];
+  }
+
   /**
    * Fetch page content and metadata
    */
   async fetchPage(pageId) {
+    if (this.exportSource) {
+      return this.exportSource.getPage(pageId);
+    }
+
     const response = await this.api.get(`/content/${pageId}`, {
       params: {
         expand: 'body.storage,version,metadata.labels,children.page'
@@ -329,19 +809,66 @@ class ConfluenceToVuePress {
     return response.data;
   }
 
+  /**
+   * Fetch every result of a paginated collection endpoint
+   * Follows _links.next when present, otherwise advances start by size
+   */
+  async fetchAllResults(url, params = {}) {
+    const limit = params.limit || 100;
+    const results = [];
+    let requestUrl = url;
+    let requestParams = { ...params, limit, start: params.start || 0 };
+
+    while (requestUrl) {
+      const response = await this.api.get(requestUrl, { params: requestParams });
+      const data = response.data;
+      const batch = data.results || [];
+      results.push(...batch);
+
+      const next = data._links?.next;
+      if (batch.length === 0) {
+        requestUrl = null;
+      } else if (next) {
+        // Next links already carry the query string (including any cursor)
+        requestUrl = resolveNextLink(next, data._links);
+        requestParams = undefined;
+      } else if ((data.size ?? batch.length) >= (data.limit ?? limit)) {
+        requestUrl = url;
+        requestParams = {
+          ...params,
+          limit,
+          start: (data.start ?? requestParams?.start ?? 0) + batch.length
+        };
+      } else {
+        requestUrl = null;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Record how many items of a given kind were retrieved for a page
+   */
+  recordRetrieval(pageId, kind, count) {
+    const counts = this.retrievalCounts.get(pageId) || {};
+    counts[kind] = count;
+    this.retrievalCounts.set(pageId, counts);
+  }
+
   /**
    * Fetch child pages in correct order
    */
   async fetchChildPages(pageId) {
     try {
-      const response = await this.api.get(`/content/${pageId}/child/page`, {
-        params: {
+      const pages = this.exportSource
+        ? this.exportSource.getChildPages(pageId)
+        : await this.fetchAllResults(`/content/${pageId}/child/page`, {
           limit: 100,
-          expand: 'extensions.position'
-        }
-      });
-      // Sort by position to maintain Confluence page order
-      const pages = response.data.results;
+          expand: 'extensions.position,version,metadata.labels'
+        });
+      this.recordRetrieval(pageId, 'childPages', pages.length);
+      // Sort by position to maintain Confluence page order (stable, so ties keep API order)
       pages.sort((a, b) => {
         const posA = a.extensions?.position ?? 999999;
         const posB = b.extensions?.position ?? 999999;
@@ -350,64 +877,263 @@ class ConfluenceToVuePress {
       return pages;
     } catch (error) {
       console.error(`Error fetching children of ${pageId}:`, error.message);
+      this.recordFailure('children', pageId, null, error);
+      this.incompletePages.add(pageId);
       return [];
     }
   }
 
   /**
-   * Download attachments for a page
+   * Fetch the footer and inline comments of a page, including replies
+   * Returns null when comments are disabled or could not be fetched
    */
-  async downloadAttachments(pageId, pageSlug, outputDir) {
+  async fetchComments(pageId) {
+    if (!this.config.comments || this.exportSource) return null;
     try {
-      const response = await this.api.get(`/content/${pageId}/child/attachment`, {
-        params: { limit: 100, expand: 'version,extensions.fileId' }
+      const comments = await this.fetchAllResults(`/content/${pageId}/child/comment`, {
+        limit: 100,
+        depth: 'all',
+        expand: 'body.storage,history,version,ancestors,extensions.inlineProperties,extensions.resolution'
+      });
+      this.recordRetrieval(pageId, 'comments', comments.length);
+      return comments;
+    } catch (error) {
+      console.error(`Error fetching comments of ${pageId}:`, error.message);
+      this.recordFailure('comments', pageId, null, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the previous versions of a page, newest first, limited by the history option
+   */
+  async fetchPageVersions(pageId, currentVersion) {
+    const versions = await this.fetchAllResults(`/content/${pageId}/version`, { limit: 100 });
+    const previous = versions
+      .filter(version => version.number < currentVersion)
+      .sort((a, b) => b.number - a.number);
+    return this.config.history === 'all' ? previous : previous.slice(0, this.config.history);
+  }
+
+  /**
+   * Fetch the content of a previous page version
+   */
+  async fetchPageVersion(pageId, versionNumber) {
+    const response = await this.api.get(`/content/${pageId}`, {
+      params: {
+        status: 'historical',
+        version: versionNumber,
+        expand: 'body.storage,version'
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Write the previous versions of a page to history/vN.md
+   * Versions never change, so files written by an earlier run are reused; returns null if versions could not be listed
+   */
+  async writeHistory(page, dirPath, attachments, pageSlug, indent) {
+    const pageId = page.id;
+    let versions;
+    try {
+      versions = await this.pageLimit(() => this.fetchPageVersions(pageId, page.version?.number));
+    } catch (error) {
+      console.error(`Error fetching versions of ${pageId}:`, error.message);
+      this.recordFailure('history', pageId, null, error);
+      return null;
+    }
+    this.recordRetrieval(pageId, 'versions', versions.length);
+    await this.resolveUsers(versions.map(version => version.by).filter(Boolean));
+
+    const previousFiles = new Set((this.previousManifest.pages[pageId]?.history || []).map(entry => entry.file));
+    await ensureDir(path.join(dirPath, HISTORY_DIR));
+
+    const entries = await Promise.all(versions.map(async (version) => {
+      const entry = {
+        version: version.number,
+        date: version.when?.slice(0, 10) || null,
+        author: this.getUserName(version.by),
+        message: version.message || '',
+        file: `${HISTORY_DIR}/v${version.number}.md`
+      };
+      const filepath = path.join(dirPath, entry.file);
+      if (!this.config.force && previousFiles.has(entry.file) && await fileExists(filepath)) {
+        return entry;
+      }
+
+      try {
+        const historical = await this.pageLimit(() => this.fetchPageVersion(pageId, version.number));
+        await this.resolveUsers(getUserMentions(historical.body?.storage?.value || ''));
+        // History files sit one folder below the page, next to nothing but each other
+        const markdown = this.convertToMarkdown(historical.body?.storage?.value || '', attachments, pageSlug)
+          .replace(/(\(|")\.\/attachments\//g, '$1../attachments/');
+        const details = [`Version ${entry.version}`, entry.date, entry.author].filter(Boolean).join(' · ');
+
+        await fs.writeFile(filepath, `---
+title: ${yamlValue(`${page.title} (v${entry.version})`)}
+version: ${entry.version}
+${entry.date ? `date: ${yamlValue(entry.date)}\n` : ''}${entry.author ? `author: ${yamlValue(entry.author)}\n` : ''}---
+
+# ${page.title}
+
+_${details} — [current version](../README.md)_
+
+${markdown}`, 'utf-8');
+        return entry;
+      } catch (error) {
+        console.error(`Error fetching version ${version.number} of ${pageId}:`, error.message);
+        this.recordFailure('history', pageId, `v${version.number}`, error);
+        return null;
+      }
+    }));
+    const written = entries.filter(Boolean);
+
+    // Drop versions that fell out of the history window
+    const kept = new Set(written.map(entry => path.basename(entry.file)));
+    for (const name of await fs.readdir(path.join(dirPath, HISTORY_DIR))) {
+      if (/^v\d+\.md$/.test(name) && !kept.has(name)) {
+        await fs.rm(path.join(dirPath, HISTORY_DIR, name), { force: true });
+      }
+    }
+
+    console.log(`${indent}  Saved ${written.length} previous version(s)`);
+    return written;
+  }
+
+  /**
+   * Markdown files written for a page, relative to its folder
+   */
+  getMarkdownFiles(pageId) {
+    const files = ['README.md'];
+    if (this.config.comments === 'file') files.push('comments.md');
+    const history = this.manifestPages[pageId]?.history || [];
+    files.push(...history.map(entry => entry.file));
+    return files;
+  }
+
+  /**
+   * Convert comment threads to markdown; replies are nested as blockquotes
+   */
+  renderComments(threads, attachments = [], pageSlug = '') {
+    const renderNode = ({ comment, replies }) => {
+      const author = this.getUserName(comment.history?.createdBy) || 'Unknown';
+      const created = comment.history?.createdDate;
+      const details = [`**${author}**`];
+      if (created) details.push(created.slice(0, 16).replace('T', ' '));
+      if (comment.extensions?.resolution?.status === 'resolved') details.push('_resolved_');
+
+      const lines = [details.join(' · '), ''];
+      const selection = comment.extensions?.inlineProperties?.originalSelection;
+      if (selection) {
+        lines.push(`_On "${escapeInlineText(selection, this.turndownService)}":_`, '');
+      }
+      lines.push(this.convertToMarkdown(comment.body?.storage?.value || '', attachments, pageSlug).trim());
+
+      for (const reply of replies) {
+        const quoted = renderNode(reply).split('\n').map(line => (line ? `> ${line}` : '>'));
+        lines.push('', ...quoted);
+      }
+      return lines.join('\n');
+    };
+
+    return threads.map(renderNode).join('\n\n---\n\n');
+  }
+
+  /**
+   * List the attachments of a page, with their versions
+   */
+  async fetchAttachments(pageId) {
+    const attachments = this.exportSource
+      ? this.exportSource.getAttachments(pageId)
+      : await this.fetchAllResults(`/content/${pageId}/child/attachment`, {
+        limit: 100,
+        expand: 'version,extensions.fileId'
       });
+    this.recordRetrieval(pageId, 'attachments', attachments.length);
+    return attachments;
+  }
+
+  /**
+   * Download attachments for a page
+   * A listing already fetched (see fetchAttachments) is reused instead of listing them again
+   */
+  async downloadAttachments(pageId, pageSlug, outputDir, previousAttachments = {}, listing = null) {
+    try {
+      const attachments = listing || await this.fetchAttachments(pageId);
 
-      const attachments = response.data.results;
       if (attachments.length === 0) return [];
 
       const attachmentDir = path.join(outputDir, 'attachments', pageSlug);
       await ensureDir(attachmentDir);
 
-      const downloadedFiles = [];
-      for (const attachment of attachments) {
+      // Download in parallel (bounded by attachmentLimit), keeping API order in the result
+      const downloadedFiles = await Promise.all(attachments.map(attachment => this.attachmentLimit(async () => {
         const originalFilename = attachment.title;
         const safeFilename = sanitizeFilename(originalFilename);
         const filepath = path.join(attachmentDir, safeFilename);
+        const file = {
+          id: attachment.id,
+          version: attachment.version?.number ?? null,
+          original: originalFilename,
+          sanitized: safeFilename,
+          path: `./attachments/${pageSlug}/${safeFilename}`,
+          fileId: attachment.extensions?.fileId || null
+        };
+
+        // Keep files whose version matches the previous run
+        const previous = previousAttachments[attachment.id];
+        if (!this.config.force && previous && file.version && previous.version === file.version
+          && previous.path === file.path && await fileExists(filepath)) {
+          console.log(`  = Unchanged: ${safeFilename}`);
+          return file;
+        }
 
         try {
-          const downloadUrl = `${this.config.confluenceUrl}/wiki${attachment._links.download}`;
-          const fileResponse = await axios.get(downloadUrl, {
-            auth: { username: this.config.email, password: this.config.apiToken },
-            responseType: 'arraybuffer',
-            maxRedirects: 5
-          });
+          const data = await this.fetchAttachmentData(attachment);
 
-          await fs.writeFile(filepath, fileResponse.data);
-          downloadedFiles.push({
-            original: originalFilename,
-            sanitized: safeFilename,
-            path: `./attachments/${pageSlug}/${safeFilename}`,
-            fileId: attachment.extensions?.fileId || null
-          });
+          await fs.writeFile(filepath, data);
           console.log(`  ✓ Downloaded: ${safeFilename}`);
+          return file;
         } catch (error) {
           console.error(`  ✗ Failed to download ${originalFilename}: ${error.response?.status || error.message}`);
+          this.recordFailure('attachment', pageId, originalFilename, error);
+          return null;
         }
-      }
+      })));
 
-      return downloadedFiles;
+      return downloadedFiles.filter(Boolean);
     } catch (error) {
       console.error(`Error downloading attachments for page ${pageId}:`, error.message);
+      this.recordFailure('attachment', pageId, null, error);
+      this.incompletePages.add(pageId);
       return [];
     }
   }
 
+  /**
+   * Fetch the content of a single attachment
+   */
+  async fetchAttachmentData(attachment) {
+    if (this.exportSource) {
+      return this.exportSource.readAttachment(attachment);
+    }
+
+    const downloadUrl = `${this.getSiteUrl()}${attachment._links.download}`;
+    const fileResponse = await this.http.get(downloadUrl, {
+      ...this.getAuthOptions(),
+      responseType: 'arraybuffer',
+      maxRedirects: 5
+    });
+    return fileResponse.data;
+  }
+
   /**
    * Copy missing attachments from parent or sibling pages
+   * Images are Markdown, or <img> tags in tables kept as HTML
    */
   async copyMissingAttachments(markdown, attachmentDir, pageSlug, parentPath, indent = '') {
-    const imagePattern = /!\[[^\]]*\]\(\.\/attachments\/[^/]+\/([^)]+)\)/gi;
+    const imagePattern = /!\[[^\]]*\]\(\.\/attachments\/[^/]+\/([^)]+)\)|<img src="\.\/attachments\/[^/]+\/([^"]+)"/gi;
     const matches = [...markdown.matchAll(imagePattern)];
 
     if (matches.length === 0) return;
@@ -415,7 +1141,7 @@ class ConfluenceToVuePress {
     await ensureDir(attachmentDir);
 
     for (const match of matches) {
-      const filename = match[1];
+      const filename = match[1] || match[2];
       const localPath = path.join(attachmentDir, filename);
 
       try {
@@ -477,11 +1203,12 @@ class ConfluenceToVuePress {
 
   /**
    * Download external images
+   * Images are Markdown, or <img> tags in tables kept as HTML
    */
-  async downloadExternalImages(markdown, attachmentDir, pageSlug, indent = '') {
+  async downloadExternalImages(markdown, attachmentDir, pageSlug, indent = '', pageId = null) {
     if (!this.config.downloadExternalImages) return markdown;
 
-    const imagePattern = /!\[([^\]]*)\]\((https?:\/\/[^)]+)\)/gi;
+    const imagePattern = /!\[([^\]]*)\]\((https?:\/\/[^)]+)\)|<img src="(https?:\/\/[^"]+)"/gi;
     const matches = [...markdown.matchAll(imagePattern)];
 
     if (matches.length === 0) return markdown;
@@ -490,7 +1217,8 @@ class ConfluenceToVuePress {
     await ensureDir(attachmentDir);
 
     for (const match of matches) {
-      const [fullMatch, altText, imageUrl] = match;
+      const [fullMatch, altText, markdownUrl, htmlUrl] = match;
+      const imageUrl = markdownUrl || htmlUrl;
 
       try {
         const urlPath = new URL(imageUrl).pathname;
@@ -504,7 +1232,7 @@ class ConfluenceToVuePress {
         const filepath = path.join(attachmentDir, filename);
         const localPath = `./attachments/${pageSlug}/${filename}`;
 
-        const response = await axios.get(imageUrl, {
+        const response = await this.http.get(imageUrl, {
           responseType: 'arraybuffer',
           timeout: 30000,
           headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
@@ -512,26 +1240,109 @@ class ConfluenceToVuePress {
 
         await fs.writeFile(filepath, response.data);
         console.log(`${indent}  ✓ Downloaded external image: ${filename}`);
-        markdown = markdown.replace(fullMatch, `![${altText}](${localPath})`);
+        markdown = markdown.replace(fullMatch, markdownUrl ? `![${altText}](${localPath})` : `<img src="${localPath}"`);
       } catch (error) {
         console.error(`${indent}  ✗ Failed to download: ${imageUrl.substring(0, 60)}...`);
+        this.recordFailure('image', pageId, imageUrl, error);
       }
     }
 
     return markdown;
   }
 
+  /**
+   * Load the static user identifier → display name mapping (a JSON file path or an object)
+   * Mapped names win over the user API, and are the only source for offline runs
+   */
+  async loadUserMap() {
+    let mapping = this.config.userMap;
+    if (!mapping) return;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(await fs.readFile(mapping, 'utf-8'));
+      } catch (error) {
+        throw new Error(`Could not read user map ${this.config.userMap}: ${error.message}`);
+      }
+    }
+    for (const [id, name] of Object.entries(mapping)) {
+      this.userNames.set(id, name);
+    }
+  }
+
+  /**
+   * Fetch a user by account ID (Cloud), user key or username (Server / Data Center)
+   */
+  async fetchUser(user) {
+    let params;
+    if (user.accountId) params = { accountId: user.accountId };
+    else if (user.userKey) params = { key: user.userKey };
+    else params = { username: user.username };
+
+    const response = await this.api.get('/user', { params });
+    return response.data;
+  }
+
+  /**
+   * Look up the display names of users that are not known yet
+   * Each user is fetched at most once per run; users that cannot be fetched resolve to null
+   */
+  async resolveUsers(users) {
+    await Promise.all(users.map(user => {
+      const id = userId(user);
+      if (!id || user.displayName || this.userNames.has(id) || this.exportSource) return null;
+      if (!this.userLookups.has(id)) {
+        const lookup = this.pageLimit(() => this.fetchUser(user))
+          .then(found => found?.displayName || found?.publicName || null)
+          .catch(error => {
+            console.error(`Error resolving user ${id}:`, error.message);
+            return null;
+          })
+          .then(name => {
+            this.userNames.set(id, name);
+          });
+        this.userLookups.set(id, lookup);
+      }
+      return this.userLookups.get(id);
+    }));
+  }
+
+  /**
+   * Display name of a user (an API user object or a mention reference), or null
+   */
+  getUserName(user) {
+    if (!user) return null;
+    return this.userNames.get(userId(user)) || user.displayName || user.publicName || null;
+  }
+
+  /**
+   * Register a converter for a Confluence macro, replacing any existing one for that name
+   * The converter receives { name, params, body, plainTextBody, pageSlug } and returns
+   * HTML, { markdown } for Markdown ({ markdown, inline: true } within a line), or null
+   * to fall back to the default handling
+   */
+  registerMacro(name, converter) {
+    if (typeof converter !== 'function') {
+      throw new Error(`Invalid converter for macro "${name}". Expected a function`);
+    }
+    this.macros.set(name.toLowerCase(), converter);
+    return this;
+  }
+
   /**
    * Convert HTML to Markdown
    */
   convertToMarkdown(html, attachments = [], pageSlug = '') {
-    html = preprocessConfluenceHtml(html, pageSlug, attachments);
+    html = preprocessConfluenceHtml(html, pageSlug, attachments, this.macros, this.userNames);
 
     let markdown = this.turndownService.turndown(html);
 
+    // Inline macro Markdown inside tables kept as HTML is still wrapped in its placeholder
+    markdown = markdown.replace(/<span data-macro-markdown="inline">([\s\S]*?)<\/span>/g, (match, text) =>
+      text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+
     // Fix attachment links
     attachments.forEach(att => {
-      const confluencePattern = new RegExp(`/wiki/download/.*?/${escapeRegex(att.original)}`, 'g');
+      const confluencePattern = new RegExp(`${escapeRegex(this.config.contextPath)}/download/.*?/${escapeRegex(att.original)}`, 'g');
       markdown = markdown.replace(confluencePattern, att.path);
     });
 
@@ -551,7 +1362,7 @@ class ConfluenceToVuePress {
 
     // Protect HTML tables from escaping (they should render as HTML in VuePress)
     const tablePlaceholders = [];
-    markdown = markdown.replace(/<table[\s\S]*?<\/table>/gi, (match) => {
+    markdown = replaceHtmlTables(markdown, (match) => {
       tablePlaceholders.push(match);
       return `__TABLE_${tablePlaceholders.length - 1}__`;
     });
@@ -583,83 +1394,379 @@ class ConfluenceToVuePress {
       if (markdown === before) break; // No more changes
     }
 
-    // Restore tables
-    tablePlaceholders.forEach((table, i) => {
-      markdown = markdown.replace(`__TABLE_${i}__`, table);
-    });
+    // Restore tables
+    tablePlaceholders.forEach((table, i) => {
+      markdown = markdown.replace(`__TABLE_${i}__`, table);
+    });
+
+    // Restore code blocks
+    codeBlockPlaceholders.forEach((block, i) => {
+      markdown = markdown.replace(`__CODE_BLOCK_${i}__`, block);
+    });
+
+    return markdown;
+  }
+
+  /**
+   * Process a single page
+   */
+  async processPage(pageId, parentPath = '', level = 0, listing = null) {
+    const indent = '  '.repeat(level);
+    console.log(`${indent}Processing: Page ID ${pageId}`);
+
+    // Pages completed before an interruption are restored from the checkpoint, then their children resumed
+    const completed = this.resumeState.get(pageId);
+    if (completed) {
+      console.log(`${indent}  ↷ Completed before interruption: ${completed.page.title}`);
+      this.restoreCheckpointEntry(pageId, completed);
+      await this.processChildPages(pageId, completed.children, completed.page.path, level);
+      return true;
+    }
+
+    // Child listings carry the current version, so unchanged pages need no content fetch
+    let page;
+    try {
+      page = listing?.version ? listing : await this.pageLimit(() => this.fetchPage(pageId));
+    } catch (error) {
+      return this.handlePageFailure(error, pageId, listing?.title, indent);
+    }
+    const pageTitle = page.title;
+    const pageSlug = slugify(pageTitle);
+
+    console.log(`${indent}  Title: ${pageTitle}`);
+
+    // Filtered pages are skipped together with their whole subtree
+    const skipReason = this.getSkipReason(page, level);
+    if (skipReason) {
+      console.log(`${indent}  ⊘ Skipped (${skipReason})`);
+      this.skippedPages.push({ id: pageId, title: pageTitle, reason: skipReason });
+      return false;
+    }
+
+    let relativePath = path.join(parentPath, pageSlug).replace(/\\/g, '/');
+    if (!relativePath.endsWith('/')) {
+      relativePath += '/';
+    }
+
+    const version = page.version?.number;
+    let status;
+    try {
+      const comments = await this.pageLimit(() => this.fetchComments(pageId));
+      const attachmentListing = await this.fetchSyncAttachments(pageId);
+      if (await this.isPageUnchanged(pageId, version, relativePath, comments, attachmentListing)) {
+        console.log(`${indent}  = Unchanged since last run (v${version})`);
+        this.manifestPages[pageId] = this.previousManifest.pages[pageId];
+        this.unchangedPages.set(pageId, async () => {
+          const fullPage = await this.pageLimit(() => this.fetchPage(pageId));
+          await this.writePage(fullPage, parentPath, indent, { comments, attachmentListing });
+        });
+        status = 'unchanged';
+      } else {
+        if (page === listing) {
+          page = await this.pageLimit(() => this.fetchPage(pageId));
+        }
+        await this.writePage(page, parentPath, indent, { comments, attachmentListing });
+        status = 'updated';
+      }
+      this.syncStats[status]++;
+    } catch (error) {
+      return this.handlePageFailure(error, pageId, pageTitle, indent);
+    }
+
+    this.pageMap.set(pageId, {
+      title: pageTitle,
+      path: relativePath,
+      slug: pageSlug,
+      children: []
+    });
+
+    const childPages = await this.pageLimit(() => this.fetchChildPages(pageId));
+    await this.recordCheckpoint(pageId, status, childPages);
+    await this.processChildPages(pageId, childPages, relativePath, level);
+    return true;
+  }
+
+  /**
+   * Process the children of a page and link the migrated ones into pageMap
+   */
+  async processChildPages(pageId, childPages, relativePath, level) {
+    if (childPages.length === 0) return;
+
+    console.log(`${'  '.repeat(level)}  Found ${childPages.length} child pages`);
+    // Children are processed concurrently; page fetches are bounded by pageLimit
+    const parentPath = relativePath.replace(/\/$/, '');
+    const migrated = await Promise.all(childPages.map(child =>
+      this.processPage(child.id, parentPath, level + 1, child)
+    ));
+    this.pageMap.get(pageId).children.push(...childPages.filter((child, i) => migrated[i]).map(child => child.id));
+  }
+
+  /**
+   * Why a page (and its subtree) is filtered out of the migration, or null to migrate it
+   * Root pages sit at level 0; listings and fetched pages both carry labels. Include rules
+   * pick the root pages, so the subtree of an included root is migrated whole
+   */
+  getSkipReason(page, level) {
+    const { includeLabels, excludeLabels, includeTitles, excludeTitles, maxDepth } = this.config;
+
+    if (maxDepth !== null && level > maxDepth) {
+      return `deeper than maxDepth ${maxDepth}`;
+    }
+
+    const labels = getPageLabels(page);
+    const excludedLabel = excludeLabels.find(label => labels.includes(label.toLowerCase()));
+    if (excludedLabel) {
+      return `label "${excludedLabel}"`;
+    }
+    if (level === 0 && includeLabels.length > 0 && !includeLabels.some(label => labels.includes(label.toLowerCase()))) {
+      return 'no included label';
+    }
+
+    const excludedTitle = excludeTitles.find(pattern => compileTitlePattern(pattern).test(page.title));
+    if (excludedTitle) {
+      return `title matches "${excludedTitle}"`;
+    }
+    if (level === 0 && includeTitles.length > 0 && !includeTitles.some(pattern => compileTitlePattern(pattern).test(page.title))) {
+      return 'title not included';
+    }
+
+    return null;
+  }
+
+  /**
+   * Attachment listing to compare with the previous run, or null when the page is converted anyway
+   * (no previous run, --force) or the listing fails; writePage then lists the attachments itself
+   */
+  async fetchSyncAttachments(pageId) {
+    if (this.config.force || !this.previousManifest.pages[pageId]) return null;
+    return this.pageLimit(() => this.fetchAttachments(pageId)).catch(() => null);
+  }
+
+  /**
+   * Whether a page can be kept as-is from the previous run
+   * Same version, same location, same comments (when fetched), same attachment versions
+   * and its README.md still on disk
+   */
+  async isPageUnchanged(pageId, version, relativePath, comments = null, attachments = null) {
+    if (this.config.force || !version) return false;
+
+    const previous = this.previousManifest.pages[pageId];
+    if (!previous || previous.version !== version || previous.path !== relativePath) {
+      return false;
+    }
+    // Comments do not bump the page version
+    if (comments && previous.comments !== commentsSignature(comments)) {
+      return false;
+    }
+    // Neither do new attachments or new versions of them; without a listing nothing can be compared
+    const previousAttachments = previous.attachments || {};
+    if (!attachments || attachments.length !== Object.keys(previousAttachments).length
+      || attachments.some(att => previousAttachments[att.id]?.version !== (att.version?.number ?? null))) {
+      return false;
+    }
+    // Pages converted before history was enabled have none written yet
+    if (this.config.history && !this.exportSource && !previous.history) {
+      return false;
+    }
+    return fileExists(path.join(this.config.outputDir, relativePath, 'README.md'));
+  }
+
+  /**
+   * Process a single blog post into blog/YYYY/MM/slug/
+   * The listing carries the version, date and author; content is fetched only when it changed
+   */
+  async processBlogPost(post, slug = slugify(post.title)) {
+    const date = getBlogPostDate(post);
+    await this.resolveUsers([post.history?.createdBy].filter(Boolean));
+    const author = this.getUserName(post.history?.createdBy);
+    const parentPath = getBlogPostFolder(post);
+    const relativePath = `${parentPath}/${slug}/`;
+
+    console.log(`Processing: Blog post ${post.id}`);
+    console.log(`  Title: ${post.title}`);
+
+    const completed = this.resumeState.get(post.id);
+    if (completed) {
+      console.log(`  ↷ Completed before interruption`);
+      this.restoreCheckpointEntry(post.id, completed);
+      return true;
+    }
 
-    // Restore code blocks
-    codeBlockPlaceholders.forEach((block, i) => {
-      markdown = markdown.replace(`__CODE_BLOCK_${i}__`, block);
-    });
+    const version = post.version?.number;
+    const frontmatter = {};
+    if (date) frontmatter.date = date;
+    if (author) frontmatter.author = author;
+    let status;
+    try {
+      const comments = await this.pageLimit(() => this.fetchComments(post.id));
+      const attachmentListing = await this.fetchSyncAttachments(post.id);
+      const write = async () => {
+        const page = await this.pageLimit(() => this.fetchPage(post.id));
+        await this.writePage(page, parentPath, '', { frontmatter, comments, attachmentListing, slug });
+      };
+      if (await this.isPageUnchanged(post.id, version, relativePath, comments, attachmentListing)) {
+        console.log(`  = Unchanged since last run (v${version})`);
+        this.manifestPages[post.id] = this.previousManifest.pages[post.id];
+        this.unchangedPages.set(post.id, write);
+        status = 'unchanged';
+      } else {
+        await write();
+        status = 'updated';
+      }
+      this.syncStats[status]++;
+    } catch (error) {
+      return this.handlePageFailure(error, post.id, post.title);
+    }
 
-    return markdown;
+    this.pageMap.set(post.id, {
+      title: post.title,
+      path: relativePath,
+      slug,
+      children: [],
+      blogPost: { date, author }
+    });
+    await this.recordCheckpoint(post.id, status, []);
+    return true;
   }
 
   /**
-   * Process a single page
+   * Convert a fetched page and write it (with its attachments and comments) to disk
+   * Extra frontmatter fields (e.g. a blog post's date and author) follow the title
    */
-  async processPage(pageId, parentPath = '', level = 0) {
-    const indent = '  '.repeat(level);
-    console.log(`${indent}Processing: Page ID ${pageId}`);
-
-    const page = await this.fetchPage(pageId);
+  async writePage(page, parentPath, indent, { frontmatter: extraFrontmatter = {}, comments = null, attachmentListing = null, slug = null } = {}) {
+    const pageId = page.id;
     const pageTitle = page.title;
-    const pageSlug = slugify(pageTitle);
-
-    console.log(`${indent}  Title: ${pageTitle}`);
+    const pageSlug = slug || slugify(pageTitle);
 
     const dirPath = path.join(this.config.outputDir, parentPath, pageSlug);
     await ensureDir(dirPath);
 
     console.log(`${indent}  Downloading attachments...`);
-    const attachments = await this.downloadAttachments(pageId, pageSlug, dirPath);
+    const previousAttachments = this.previousManifest.pages[pageId]?.attachments || {};
+    const attachments = await this.downloadAttachments(pageId, pageSlug, dirPath, previousAttachments, attachmentListing);
+    const attachmentCount = this.retrievalCounts.get(pageId)?.attachments;
+    if (attachmentCount) {
+      console.log(`${indent}  Retrieved ${attachmentCount} attachment(s), downloaded ${attachments.length}`);
+    }
 
     const htmlContent = page.body.storage.value;
 
+    // Mentioned users (and comment authors) need display names before the synchronous conversion
+    await this.resolveUsers([
+      ...getUserMentions(htmlContent),
+      ...(comments || []).flatMap(comment => [
+        comment.history?.createdBy,
+        ...getUserMentions(comment.body?.storage?.value || '')
+      ]).filter(Boolean)
+    ]);
+
     let markdownContent = this.convertToMarkdown(htmlContent, attachments, pageSlug);
 
     const attachmentDir = path.join(dirPath, 'attachments', pageSlug);
-    markdownContent = await this.downloadExternalImages(markdownContent, attachmentDir, pageSlug, indent);
+    markdownContent = await this.downloadExternalImages(markdownContent, attachmentDir, pageSlug, indent, pageId);
     await this.copyMissingAttachments(markdownContent, attachmentDir, pageSlug, parentPath, indent);
 
     // Add frontmatter
-    const needsQuotes = /[:\[\]{}&*#?|\-<>=!%@`]/.test(pageTitle);
-    const yamlTitle = needsQuotes ? `"${pageTitle.replace(/"/g, '\\"')}"` : pageTitle;
+    const extraFields = Object.entries(extraFrontmatter)
+      .map(([key, value]) => `${key}: ${yamlValue(String(value))}\n`)
+      .join('');
 
     const frontmatter = `---
-title: ${yamlTitle}
----
+title: ${yamlValue(pageTitle)}
+${extraFields}---
 
 # ${pageTitle}
 
 `;
     markdownContent = frontmatter + markdownContent;
 
+    // Previous versions go in history/, linked from a table at the end of the page
+    const history = this.config.history && !this.exportSource
+      ? await this.writeHistory(page, dirPath, attachments, pageSlug, indent)
+      : null;
+    if (history) {
+      markdownContent = markdownContent.trimEnd() + '\n\n' + renderHistoryBlock(page, history);
+    }
+
+    // Comments go in a collapsible section at the end of the page, or a sibling comments.md
+    const threads = comments ? buildCommentThreads(comments, this.config.excludeResolvedComments) : [];
+    const commentsPath = path.join(dirPath, 'comments.md');
+    if (threads.length > 0) {
+      const discussion = this.renderComments(threads, attachments, pageSlug);
+      const count = `${threads.length} thread${threads.length === 1 ? '' : 's'}`;
+      if (this.config.comments === 'file') {
+        await fs.writeFile(commentsPath, `---
+title: ${yamlValue(`Discussion: ${pageTitle}`)}
+---
+
+# Discussion
+
+Comments on [${pageTitle}](./README.md) (${count})
+
+${discussion}
+`, 'utf-8');
+        markdownContent = markdownContent.trimEnd() + `\n\n---\n\n[Discussion (${count})](./comments.md)\n`;
+      } else {
+        // The fence outlasts containers (panels, expands) inside the comments, quoted replies included
+        const innerFences = discussion.match(/^(?:> ?)*:{3,}/gm) || [];
+        const fence = ':'.repeat(Math.max(2, ...innerFences.map(line => line.replace(/^[> ]*/, '').length)) + 1);
+        markdownContent = markdownContent.trimEnd() + `\n\n## Discussion\n\n${fence} details ${count}\n\n${discussion}\n\n${fence}\n`;
+      }
+      console.log(`${indent}  Added ${comments.length} comment(s)`);
+    }
+    if (this.config.comments === 'file' && threads.length === 0) {
+      await fs.rm(commentsPath, { force: true });
+    }
+
     const filepath = path.join(dirPath, 'README.md');
     await fs.writeFile(filepath, markdownContent, 'utf-8');
     console.log(`${indent}  ✓ Saved: ${filepath}`);
 
-    let relativePath = path.join(parentPath, pageSlug).replace(/\\/g, '/');
-    if (!relativePath.endsWith('/')) {
-      relativePath += '/';
-    }
+    // Every local file the page owns: downloaded attachments plus external/copied images it references
+    const referenced = [...markdownContent.matchAll(/\.\/attachments\/[^)\s"'>]+/g)].map(match => match[0]);
+    const assets = [...new Set([...attachments.map(att => att.path), ...referenced])];
 
-    this.pageMap.set(pageId, {
+    const relativePath = path.join(parentPath, pageSlug).replace(/\\/g, '/') + '/';
+    this.manifestPages[pageId] = {
       title: pageTitle,
+      version: page.version?.number ?? null,
       path: relativePath,
-      slug: pageSlug,
-      children: []
-    });
+      attachments: Object.fromEntries(attachments
+        .filter(att => att.id)
+        .map(att => [att.id, { version: att.version, path: att.path }])),
+      assets
+    };
+    if (comments) {
+      this.manifestPages[pageId].comments = commentsSignature(comments);
+    }
+    if (history) {
+      this.manifestPages[pageId].history = history;
+    }
+    const tocLevels = getTocLevels(htmlContent);
+    if (tocLevels) {
+      this.manifestPages[pageId].toc = tocLevels;
+    }
+  }
 
-    const childPages = await this.fetchChildPages(pageId);
-    if (childPages.length > 0) {
-      console.log(`${indent}  Found ${childPages.length} child pages`);
-      for (const child of childPages) {
-        await this.processPage(child.id, path.join(parentPath, pageSlug), level + 1);
-        this.pageMap.get(pageId).children.push(child.id);
-      }
+  /**
+   * Re-order pageMap depth-first from the roots
+   * Concurrent processing fills it in completion order; this restores the Confluence tree order
+   */
+  orderPageMap() {
+    const ordered = new Map();
+    const visit = (pageId) => {
+      const page = this.pageMap.get(pageId);
+      if (!page || ordered.has(pageId)) return;
+      ordered.set(pageId, page);
+      page.children.forEach(visit);
+    };
+    this.getRootPageIds().forEach(visit);
+    this.blogPostIds.forEach(visit);
+
+    for (const [pageId, page] of this.pageMap) {
+      if (!ordered.has(pageId)) ordered.set(pageId, page);
     }
+    this.pageMap = ordered;
   }
 
   /**
@@ -683,8 +1790,42 @@ title: ${yamlTitle}
       return result;
     };
 
-    const sidebar = buildSidebar(this.config.rootPageId);
-    const sidebarJson = JSON.stringify([sidebar], null, 2);
+    // One sidebar section per top-level page
+    const sidebar = this.getRootPageIds().map(pageId => buildSidebar(pageId)).filter(Boolean);
+
+    // Blog posts get their own section, grouped by year
+    const blogPosts = this.blogPostIds.map(postId => this.pageMap.get(postId)).filter(Boolean);
+    if (blogPosts.length > 0) {
+      const years = new Map();
+      for (const post of blogPosts) {
+        const year = post.blogPost?.date?.slice(0, 4) || 'Undated';
+        if (!years.has(year)) years.set(year, []);
+        years.get(year).push({ text: post.title, link: '/' + post.path });
+      }
+      sidebar.push({
+        text: 'Blog',
+        link: `/${BLOG_DIR}/`,
+        children: [...years].map(([year, children]) => ({ text: year, children, collapsible: true })),
+        collapsible: true
+      });
+    }
+    const sidebarJson = JSON.stringify(sidebar, null, 2);
+
+    // [[toc]] markers cover the heading levels of every toc macro in the site
+    const tocRanges = [...this.pageMap.keys()].map(pageId => this.manifestPages[pageId]?.toc).filter(Boolean);
+    let markdownConfig = '';
+    if (tocRanges.length > 0) {
+      const min = Math.min(...tocRanges.map(range => range[0]));
+      const max = Math.max(...tocRanges.map(range => range[1]));
+      const levels = Array.from({ length: max - min + 1 }, (_, i) => min + i);
+      markdownConfig = `
+  markdown: {
+    toc: {
+      level: [${levels.join(', ')}]
+    }
+  },
+`;
+    }
     const sidebarJs = sidebarJson
       .replace(/"text":/g, 'text:')
       .replace(/"link":/g, 'link:')
@@ -699,7 +1840,7 @@ export default {
   description: '${this.config.siteDescription}',
 
   bundler: viteBundler(),
-
+${markdownConfig}
   theme: defaultTheme({
     sidebar: ${sidebarJs},
 
@@ -715,7 +1856,7 @@ export default {
    * Create homepage
    */
   async createHomepage() {
-    const rootPage = this.pageMap.get(this.config.rootPageId);
+    const rootPage = this.pageMap.get(this.getRootPageIds()[0]);
     const homepage = `---
 home: true
 title: Home
@@ -730,6 +1871,37 @@ actions:
     await fs.writeFile(path.join(this.config.outputDir, 'README.md'), homepage, 'utf-8');
   }
 
+  /**
+   * Create the blog index page listing every post, newest first
+   */
+  async createBlogIndex() {
+    const sections = [];
+    let currentYear = null;
+    for (const postId of this.blogPostIds) {
+      const post = this.pageMap.get(postId);
+      if (!post) continue;
+      const year = post.blogPost?.date?.slice(0, 4) || 'Undated';
+      if (year !== currentYear) {
+        sections.push(`\n## ${year}\n`);
+        currentYear = year;
+      }
+      const details = [post.blogPost?.date, post.blogPost?.author].filter(Boolean).join(' · ');
+      const link = `[${post.title}](./${post.path.slice(BLOG_DIR.length + 1)})`;
+      sections.push(`- ${link}${details ? ` — ${details}` : ''}`);
+    }
+
+    const index = `---
+title: Blog
+---
+
+# Blog
+${sections.join('\n')}
+`;
+    const blogDir = path.join(this.config.outputDir, BLOG_DIR);
+    await ensureDir(blogDir);
+    await fs.writeFile(path.join(blogDir, 'README.md'), index, 'utf-8');
+  }
+
   /**
    * Create VuePress package.json
    */
@@ -806,85 +1978,456 @@ div[class*="language-"] {
    * Fix Confluence links in all generated markdown files
    */
   async fixConfluenceLinks() {
-    // Build slug to path mapping
-    const slugToPath = new Map();
-    for (const [pageId, pageInfo] of this.pageMap) {
-      const slug = slugify(pageInfo.title);
-      slugToPath.set(slug, pageInfo.path);
-    }
+    const { slugToPath, pageIdToPath } = this.getLinkTargetPaths();
 
     // Pattern to match our placeholder links: [text](CONFLUENCE_LINK:slug)
     const placeholderPattern = /\[([^\]]+)\]\(CONFLUENCE_LINK:([^)]+)\)/g;
 
+    // The same placeholder links inside tables kept as HTML
+    const htmlPlaceholderPattern = /<a href="CONFLUENCE_LINK:([^"]+)">([\s\S]*?)<\/a>/g;
+
+    // Page URLs live under the deployment's context path (/wiki on Cloud, configurable on Server/Data Center)
+    const urlPrefix = `(?:https?:\\/\\/[^\\/]+)?${escapeRegex(this.config.contextPath)}`;
+
     // Pattern to match Confluence page URLs (for links that weren't converted)
-    // Format: /wiki/spaces/XXX/pages/PAGEID
-    const confluenceUrlPattern = /\[([^\]]+)\]\(((?:https?:\/\/[^\/]+)?\/wiki\/spaces\/[^\/]+\/pages\/(\d+)[^)]*)\)/g;
+    // Format: <context>/spaces/XXX/pages/PAGEID
+    const confluenceUrlPattern = new RegExp(`\\[([^\\]]+)\\]\\((${urlPrefix}\\/spaces\\/[^\\/]+\\/pages\\/(\\d+)[^)]*)\\)`, 'g');
+
+    // Alternative format: <context>/pages/viewpage.action?pageId=PAGEID
+    const viewPagePattern = new RegExp(`\\[([^\\]]+)\\]\\((${urlPrefix}\\/pages\\/viewpage\\.action\\?pageId=(\\d+)[^)]*)\\)`, 'g');
 
-    // Alternative format: /wiki/pages/viewpage.action?pageId=PAGEID
-    const viewPagePattern = /\[([^\]]+)\]\(((?:https?:\/\/[^\/]+)?\/wiki\/pages\/viewpage\.action\?pageId=(\d+)[^)]*)\)/g;
+    // Server/Data Center title-based format: <context>/display/XXX/Page+Title
+    const displayPattern = new RegExp(`\\[([^\\]]+)\\]\\((${urlPrefix}\\/display\\/[^\\/]+\\/([^)?#\\s]+)[^)]*)\\)`, 'g');
 
     let fixedCount = 0;
 
-    // Build page ID to path mapping for URL-based links
-    const pageIdToPath = new Map();
-    for (const [pageId, pageInfo] of this.pageMap) {
-      pageIdToPath.set(pageId, pageInfo.path);
-    }
+    // Links to filtered-out pages become plain text instead of pointing back at Confluence
+    const skippedIds = new Set(this.skippedPages.map(page => page.id));
+    const skippedSlugs = new Set(this.skippedPages.map(page => slugify(page.title)));
 
-    // Process all markdown files
+    // Process all markdown files of every page (README.md plus comments and history files)
     for (const [pageId, pageInfo] of this.pageMap) {
-      const mdPath = path.join(this.config.outputDir, pageInfo.path, 'README.md');
+      // Where each link target resolved to (null when it became text), to detect stale links next run
+      const links = {};
 
-      try {
-        let content = await fs.readFile(mdPath, 'utf-8');
-        let modified = false;
+      for (const file of this.getMarkdownFiles(pageId)) {
+        const mdPath = path.join(this.config.outputDir, pageInfo.path, file);
+
+        try {
+          let content = await fs.readFile(mdPath, 'utf-8');
+          let modified = false;
 
-        // Fix placeholder links
-        content = content.replace(placeholderPattern, (match, linkText, targetSlug) => {
-          const targetPath = slugToPath.get(targetSlug);
-          if (targetPath) {
+          // Path of a migrated page, relative to the current one
+          const relativePathTo = (targetPath) => {
             const currentParts = pageInfo.path.split('/').filter(Boolean);
             const targetParts = targetPath.split('/').filter(Boolean);
-            const ups = currentParts.length;
-            const relativePath = '../'.repeat(ups) + targetParts.join('/') + '/';
+            const ups = currentParts.length + file.split('/').length - 1;
             modified = true;
             fixedCount++;
-            return `[${linkText}](${relativePath})`;
-          }
-          // Link to page not in migration - remove the placeholder but keep as text
-          modified = true;
-          return linkText;
-        });
+            return '../'.repeat(ups) + targetParts.join('/') + '/';
+          };
+
+          // Rewrite a link to point at a migrated page, relative to the current one
+          const linkTo = (linkText, targetPath) => `[${linkText}](${relativePathTo(targetPath)})`;
+
+          // Fix placeholder links
+          content = content.replace(placeholderPattern, (match, linkText, targetSlug) => {
+            const targetPath = slugToPath.get(targetSlug);
+            links[`slug:${targetSlug}`] = targetPath || null;
+            if (targetPath) {
+              return linkTo(linkText, targetPath);
+            }
+            // Link to page not in migration - remove the placeholder but keep as text
+            modified = true;
+            return linkText;
+          });
 
-        // Fix Confluence URL links (both formats)
-        const fixUrlLink = (match, linkText, fullUrl, targetPageId) => {
-          const targetPath = pageIdToPath.get(targetPageId);
-          if (targetPath) {
-            const currentParts = pageInfo.path.split('/').filter(Boolean);
-            const targetParts = targetPath.split('/').filter(Boolean);
-            const ups = currentParts.length;
-            const relativePath = '../'.repeat(ups) + targetParts.join('/') + '/';
+          content = content.replace(htmlPlaceholderPattern, (match, targetSlug, linkText) => {
+            const targetPath = slugToPath.get(targetSlug);
+            links[`slug:${targetSlug}`] = targetPath || null;
+            if (targetPath) {
+              return `<a href="${relativePathTo(targetPath)}">${linkText}</a>`;
+            }
             modified = true;
-            fixedCount++;
-            return `[${linkText}](${relativePath})`;
-          }
-          return match;
-        };
+            return linkText;
+          });
 
-        content = content.replace(confluenceUrlPattern, fixUrlLink);
-        content = content.replace(viewPagePattern, fixUrlLink);
+          // Fix Confluence URL links (ID-based formats)
+          const fixUrlLink = (match, linkText, fullUrl, targetPageId) => {
+            const targetPath = pageIdToPath.get(targetPageId);
+            if (targetPath) {
+              links[`id:${targetPageId}`] = targetPath;
+              return linkTo(linkText, targetPath);
+            }
+            if (skippedIds.has(targetPageId)) {
+              links[`id:${targetPageId}`] = null;
+              modified = true;
+              return linkText;
+            }
+            return match;
+          };
+
+          content = content.replace(confluenceUrlPattern, fixUrlLink);
+          content = content.replace(viewPagePattern, fixUrlLink);
+          // Title-based links resolve through the slug map
+          content = content.replace(displayPattern, (match, linkText, fullUrl, encodedTitle) => {
+            let title;
+            try {
+              title = decodeURIComponent(encodedTitle.replace(/\+/g, ' '));
+            } catch {
+              return match;
+            }
+            const targetPath = slugToPath.get(slugify(title));
+            if (targetPath) {
+              links[`slug:${slugify(title)}`] = targetPath;
+              return linkTo(linkText, targetPath);
+            }
+            if (skippedSlugs.has(slugify(title))) {
+              links[`slug:${slugify(title)}`] = null;
+              modified = true;
+              return linkText;
+            }
+            return match;
+          });
 
-        if (modified) {
-          await fs.writeFile(mdPath, content, 'utf-8');
+          if (modified) {
+            await fs.writeFile(mdPath, content, 'utf-8');
+          }
+        } catch (error) {
+          // File might not exist, skip
         }
-      } catch (error) {
-        // File might not exist, skip
+      }
+
+      const entry = this.manifestPages[pageId];
+      if (entry && Object.keys(links).length > 0) {
+        this.manifestPages[pageId] = { ...entry, links: { ...entry.links, ...links } };
       }
     }
 
     console.log(`✓ Fixed ${fixedCount} internal links`);
   }
 
+  /**
+   * Paths of the migrated pages by title slug and by page ID, for resolving internal links
+   */
+  getLinkTargetPaths() {
+    const slugToPath = new Map();
+    const pageIdToPath = new Map();
+    for (const [pageId, pageInfo] of this.pageMap) {
+      slugToPath.set(slugify(pageInfo.title), pageInfo.path);
+      pageIdToPath.set(pageId, pageInfo.path);
+    }
+    return { slugToPath, pageIdToPath };
+  }
+
+  /**
+   * Rewrite unchanged pages whose links now resolve differently than when they were fixed
+   * (a target was renamed, moved, or migrated for the first time); their files no longer
+   * hold the link placeholders, so they are converted again
+   */
+  async refreshStaleLinks() {
+    const { slugToPath, pageIdToPath } = this.getLinkTargetPaths();
+    const resolve = (target) => {
+      const separator = target.indexOf(':');
+      const paths = target.slice(0, separator) === 'id' ? pageIdToPath : slugToPath;
+      return paths.get(target.slice(separator + 1)) || null;
+    };
+
+    const stale = [...this.unchangedPages].filter(([pageId]) =>
+      Object.entries(this.manifestPages[pageId]?.links || {}).some(([target, targetPath]) => resolve(target) !== targetPath)
+    );
+    await Promise.all(stale.map(async ([pageId, rewrite]) => {
+      const title = this.pageMap.get(pageId)?.title;
+      console.log(`  ↻ Links changed: ${title}`);
+      try {
+        await rewrite();
+        this.syncStats.unchanged--;
+        this.syncStats.updated++;
+      } catch (error) {
+        this.handlePageFailure(error, pageId, title);
+      }
+    }));
+  }
+
+  /**
+   * Load the manifest written by the previous run, if any
+   */
+  async loadManifest() {
+    try {
+      const content = await fs.readFile(path.join(this.config.outputDir, MANIFEST_FILE), 'utf-8');
+      const manifest = JSON.parse(content);
+      if (manifest.version === MANIFEST_VERSION && manifest.pages) {
+        this.previousManifest = manifest;
+      }
+    } catch {
+      // First run (or unreadable manifest): everything is converted
+    }
+    return this.previousManifest;
+  }
+
+  /**
+   * Save the manifest describing every page of this run
+   */
+  async saveManifest() {
+    const pages = {};
+    for (const pageId of this.pageMap.keys()) {
+      if (this.manifestPages[pageId]) {
+        pages[pageId] = this.manifestPages[pageId];
+      }
+    }
+    const manifest = {
+      version: MANIFEST_VERSION,
+      updatedAt: new Date().toISOString(),
+      pages,
+      orphans: this.orphans
+    };
+    await fs.writeFile(
+      path.join(this.config.outputDir, MANIFEST_FILE),
+      JSON.stringify(manifest, null, 2),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Identifies what a checkpoint was written for; a checkpoint for another source is not resumed
+   */
+  getCheckpointSource() {
+    const { confluenceUrl, spaceKey, rootPageId, fromExport } = this.config;
+    return { confluenceUrl: confluenceUrl || null, spaceKey: spaceKey || null, rootPageId: rootPageId || null, fromExport: fromExport || null };
+  }
+
+  /**
+   * Start the checkpoint log, or reload it when resuming
+   * Returns the number of pages restored from an interrupted run
+   */
+  async startCheckpoint() {
+    this.checkpointPath = path.join(this.config.outputDir, CHECKPOINT_FILE);
+
+    if (this.config.resume) {
+      this.resumeState = await this.loadCheckpoint();
+      if (this.resumeState.size > 0) {
+        console.log(`↷ Resuming: ${this.resumeState.size} page(s) completed before the interruption\n`);
+        return this.resumeState.size;
+      }
+      console.log('↷ No checkpoint to resume from; starting from scratch\n');
+    }
+
+    const header = { checkpoint: CHECKPOINT_VERSION, startedAt: new Date().toISOString(), source: this.getCheckpointSource() };
+    await fs.writeFile(this.checkpointPath, JSON.stringify(header) + '\n', 'utf-8');
+    return 0;
+  }
+
+  /**
+   * Read the pages recorded by an interrupted run
+   * A truncated last line (the run died mid-write) is ignored
+   */
+  async loadCheckpoint() {
+    const completed = new Map();
+    let lines;
+    try {
+      lines = (await fs.readFile(path.join(this.config.outputDir, CHECKPOINT_FILE), 'utf-8')).split('\n');
+    } catch {
+      return completed;
+    }
+
+    let header;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch {
+      return completed;
+    }
+    if (header.checkpoint !== CHECKPOINT_VERSION
+      || JSON.stringify(header.source) !== JSON.stringify(this.getCheckpointSource())) {
+      console.log('↷ Checkpoint was written for a different source; ignoring it');
+      return completed;
+    }
+
+    for (const line of lines.slice(1)) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        completed.set(record.pageId, record);
+      } catch {
+        // Partial line from the interruption
+      }
+    }
+    return completed;
+  }
+
+  /**
+   * Append a completed page (its pageMap entry, manifest entry, child listing, failures and
+   * retrieval counts) to the checkpoint
+   */
+  async recordCheckpoint(pageId, status, childPages) {
+    if (!this.checkpointPath) return;
+
+    const { children, ...page } = this.pageMap.get(pageId);
+    const record = {
+      pageId,
+      status,
+      page,
+      manifest: this.manifestPages[pageId] || null,
+      children: childPages.map(child => ({
+        id: child.id,
+        title: child.title,
+        version: child.version ? { number: child.version.number } : undefined,
+        extensions: child.extensions,
+        metadata: child.metadata
+      })),
+      incomplete: this.incompletePages.has(pageId),
+      failures: this.failures.filter(failure => failure.pageId === pageId),
+      retrievalCounts: this.retrievalCounts.get(pageId) || null
+    };
+
+    // Appends are chained so concurrent pages never interleave their lines
+    const line = JSON.stringify(record) + '\n';
+    this.checkpointWrites = this.checkpointWrites.then(() => fs.appendFile(this.checkpointPath, line, 'utf-8'));
+    await this.checkpointWrites;
+  }
+
+  /**
+   * Put a page completed before an interruption back into this run's state
+   */
+  restoreCheckpointEntry(pageId, record) {
+    this.pageMap.set(pageId, { ...record.page, children: [] });
+    if (record.manifest) {
+      this.manifestPages[pageId] = record.manifest;
+    }
+    if (record.incomplete) {
+      this.incompletePages.add(pageId);
+    }
+    if (record.failures) {
+      this.failures.push(...record.failures);
+    }
+    if (record.retrievalCounts) {
+      this.retrievalCounts.set(pageId, record.retrievalCounts);
+    }
+    this.syncStats[record.status]++;
+  }
+
+  /**
+   * Find output of the previous runs that is no longer part of the migration
+   * Only what the tool recorded is a candidate: the files of pages listed in the previous
+   * manifest whose folder is no longer a page's, attachments a page no longer owns, and
+   * orphans left unpruned by earlier runs. Folders the tool did not write are never touched.
+   */
+  async findOrphans() {
+    const outputDir = this.config.outputDir;
+    const currentPaths = new Set([...this.pageMap.values()].map(page => page.path));
+    // Failed pages are not in pageMap; their output from the previous run is protected by its old path
+    const protectedPaths = [...this.incompletePages]
+      .map(pageId => this.pageMap.get(pageId)?.path || this.previousManifest.pages[pageId]?.path)
+      .filter(Boolean);
+    const isProtected = (relativePath) => protectedPaths.some(p => relativePath.startsWith(p));
+    const existing = async (files) => {
+      const found = await Promise.all(files.map(file => fileExists(path.join(outputDir, file))));
+      return files.filter((file, i) => found[i]);
+    };
+
+    const ownedAssets = new Set();
+    for (const [pageId, page] of this.pageMap) {
+      for (const asset of this.manifestPages[pageId]?.assets || []) {
+        ownedAssets.add(page.path + asset.replace(/^\.\//, ''));
+      }
+    }
+
+    const candidates = [];
+
+    // Pages: the files written into a folder that no current page uses
+    for (const previous of Object.values(this.previousManifest.pages)) {
+      if (!previous.path || currentPaths.has(previous.path)) continue;
+      const files = [
+        'README.md',
+        'comments.md',
+        ...(previous.history || []).map(entry => entry.file),
+        ...(previous.assets || []).map(asset => asset.replace(/^\.\//, ''))
+      ];
+      candidates.push({ type: 'page', path: previous.path, files: files.map(file => previous.path + file) });
+    }
+
+    // Attachment files: assets a page still in the tree owned last time but no longer downloads or references
+    for (const [pageId, page] of this.pageMap) {
+      const previous = this.previousManifest.pages[pageId];
+      // Pages from before asset tracking are left alone
+      if (!this.manifestPages[pageId]?.assets || !previous?.assets || previous.path !== page.path) continue;
+      for (const asset of previous.assets) {
+        const file = page.path + asset.replace(/^\.\//, '');
+        candidates.push({ type: 'attachment', path: file, files: [file] });
+      }
+    }
+
+    // Orphans found but not pruned by earlier runs
+    candidates.push(...(this.previousManifest.orphans || []));
+
+    const orphans = [];
+    const seen = new Set();
+    for (const candidate of candidates) {
+      if (seen.has(candidate.path) || isProtected(candidate.path)) continue;
+      if (candidate.type === 'page' ? currentPaths.has(candidate.path) : ownedAssets.has(candidate.path)) continue;
+      const files = await existing(candidate.files.filter(file => !ownedAssets.has(file)));
+      if (files.length === 0) continue;
+      seen.add(candidate.path);
+      orphans.push({ type: candidate.type, path: candidate.path, files });
+    }
+    return orphans;
+  }
+
+  /**
+   * Remove (or archive, or just list) orphaned page files and attachment files
+   * Page folders are removed once they are left empty
+   */
+  async prune(orphans = null) {
+    const mode = this.config.prune || 'dry-run';
+    orphans = orphans || await this.findOrphans();
+    if (orphans.length === 0) {
+      console.log('✓ Nothing to prune');
+      return orphans;
+    }
+
+    const archiveRoot = path.join(
+      this.config.archiveDir || path.join(this.config.outputDir, '.pruned'),
+      new Date().toISOString().replace(/[:.]/g, '-')
+    );
+
+    for (const orphan of orphans) {
+      if (mode === 'dry-run') {
+        console.log(`  Would prune ${orphan.type}: ${orphan.path}`);
+        continue;
+      }
+
+      for (const file of orphan.files) {
+        const source = path.join(this.config.outputDir, file);
+        if (mode === 'archive') {
+          const destination = path.join(archiveRoot, file);
+          await ensureDir(path.dirname(destination));
+          try {
+            await fs.rename(source, destination);
+          } catch (error) {
+            // Renaming fails across devices; fall back to copy + delete
+            if (error.code !== 'EXDEV') throw error;
+            await fs.copyFile(source, destination);
+            await fs.rm(source, { force: true });
+          }
+        } else {
+          await fs.rm(source, { force: true });
+        }
+      }
+      if (orphan.type === 'page') {
+        await removeEmptyDirs(this.config.outputDir, orphan.files, orphan.path);
+      }
+      console.log(`  ✓ ${mode === 'archive' ? 'Archived' : 'Removed'} ${orphan.type}: ${orphan.path}`);
+    }
+
+    if (mode === 'archive') {
+      console.log(`✓ Archived ${orphans.length} item(s) to ${archiveRoot}`);
+    } else if (mode === 'dry-run') {
+      console.log(`✓ ${orphans.length} item(s) would be pruned (dry run)`);
+    } else {
+      console.log(`✓ Pruned ${orphans.length} item(s)`);
+    }
+    return orphans;
+  }
+
   /**
    * Run the migration
    */
@@ -893,13 +2436,58 @@ div[class*="language-"] {
 
     this.validateConfig();
 
+    if (this.config.fromExport) {
+      console.log(`📦 Reading Confluence export: ${this.config.fromExport}`);
+      this.exportSource = await ConfluenceExport.open(this.config.fromExport);
+      console.log(`  Found ${this.exportSource.pages.size} page(s) in ${this.exportSource.format.toUpperCase()} export\n`);
+    }
+
     await ensureDir(this.config.outputDir);
     await ensureDir(path.join(this.config.outputDir, '.vuepress'));
+    await this.loadManifest();
+    await this.startCheckpoint();
+
+    await this.loadUserMap();
+
+    if (this.config.jiraSnapshot) {
+      this.jiraSnapshot = await loadJiraSnapshot(this.config.jiraSnapshot);
+      console.log(`🎫 Loaded ${this.jiraSnapshot.issues.size} Jira issue(s) from ${this.config.jiraSnapshot}\n`);
+    }
+
+    this.rootPageIds = await this.resolveRootPageIds();
+
+    if (this.config.comments && this.exportSource) {
+      console.log('💬 Comments are only migrated from the API; skipping for this export\n');
+    }
+    if (this.config.history && this.exportSource) {
+      console.log('🕒 Page history is only migrated from the API; skipping for this export\n');
+    }
 
     console.log('📄 Fetching and converting pages...\n');
-    await this.processPage(this.config.rootPageId);
+    const rootsMigrated = await Promise.all(this.rootPageIds.map(rootPageId => this.processPage(rootPageId)));
+    this.rootPageIds = this.rootPageIds.filter((rootPageId, i) => rootsMigrated[i]);
+    // With no root migrated, every skipped page is a root page
+    if (this.rootPageIds.length === 0 && this.skippedPages.length > 0) {
+      const reasons = this.skippedPages.map(page => `${page.title} (${page.reason})`).join(', ');
+      throw new Error(`No root pages pass the filters: ${reasons}`);
+    }
+
+    if (this.config.blogPosts) {
+      if (this.exportSource) {
+        console.log('\n📰 Blog posts are only migrated from the API; skipping for this export');
+      } else {
+        console.log(`\n📰 Fetching blog posts in space ${this.config.spaceKey}...\n`);
+        const posts = await this.fetchBlogPosts(this.config.spaceKey);
+        console.log(`  Found ${posts.length} blog post(s)\n`);
+        const slugs = getBlogPostSlugs(posts);
+        await Promise.all(posts.map(post => this.processBlogPost(post, slugs.get(post.id))));
+        this.blogPostIds = posts.map(post => post.id);
+      }
+    }
+    this.orderPageMap();
 
     console.log('\n🔗 Fixing internal links...');
+    await this.refreshStaleLinks();
     await this.fixConfluenceLinks();
 
     console.log('\n⚙️  Generating VuePress configuration...');
@@ -916,16 +2504,83 @@ div[class*="language-"] {
     await this.createHomepage();
     console.log(`✓ Saved: ${path.join(this.config.outputDir, 'README.md')}`);
 
+    if (this.blogPostIds.length > 0) {
+      console.log('\n📰 Creating blog index...');
+      await this.createBlogIndex();
+      console.log(`✓ Saved: ${path.join(this.config.outputDir, BLOG_DIR, 'README.md')}`);
+    }
+
     console.log('\n📦 Creating package.json...');
     await this.createPackageJson();
     console.log(`✓ Saved: ${path.join(this.config.outputDir, 'package.json')}`);
 
-    console.log('\n✅ Migration completed successfully!');
+    const orphans = await this.findOrphans();
+    let pruned = [];
+    if (this.config.prune) {
+      console.log('\n🧹 Pruning orphaned output...');
+      pruned = await this.prune(orphans);
+    }
+    this.orphans = this.config.prune && this.config.prune !== 'dry-run' ? [] : orphans;
 
-    return {
+    await this.saveManifest();
+
+    // The run is complete: nothing is left to resume
+    await this.checkpointWrites;
+    await fs.rm(this.checkpointPath, { force: true });
+    this.checkpointPath = null;
+
+    const result = {
       pagesProcessed: this.pageMap.size,
-      outputDir: this.config.outputDir
+      pagesUpdated: this.syncStats.updated,
+      pagesUnchanged: this.syncStats.unchanged,
+      blogPosts: this.blogPostIds.length,
+      pruned: pruned.map(orphan => orphan.path),
+      skipped: this.skippedPages,
+      failures: this.failures,
+      outputDir: this.config.outputDir,
+      retrievalCounts: Object.fromEntries(this.retrievalCounts)
+    };
+
+    if (this.config.continueOnError) {
+      result.reportPath = await this.writeReport(result);
+    }
+
+    if (this.failures.length > 0) {
+      console.log(`\n⚠️  Migration completed with ${this.failures.length} failure(s)`);
+    } else {
+      console.log('\n✅ Migration completed successfully!');
+    }
+
+    return result;
+  }
+
+  /**
+   * Write migration-report.json describing failed and skipped items of this run
+   */
+  async writeReport(result) {
+    const countByType = {};
+    for (const failure of this.failures) {
+      countByType[failure.type] = (countByType[failure.type] || 0) + 1;
+    }
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      success: this.failures.length === 0,
+      summary: {
+        pagesProcessed: result.pagesProcessed,
+        pagesUpdated: result.pagesUpdated,
+        pagesUnchanged: result.pagesUnchanged,
+        pagesSkipped: result.skipped.length,
+        failures: countByType
+      },
+      failures: this.failures,
+      skipped: result.skipped
     };
+
+    const reportPath = path.join(this.config.outputDir, REPORT_FILE);
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+    console.log(`\n📋 Saved report: ${reportPath}`);
+    return reportPath;
   }
 }
 
@@ -934,6 +2589,15 @@ module.exports = {
   slugify,
   sanitizeFilename,
   escapeRegex,
+  resolveNextLink,
+  normalizeContextPath,
+  createLimiter,
+  MANIFEST_FILE,
+  REPORT_FILE,
+  CHECKPOINT_FILE,
+  isRetryableError,
+  getRetryDelay,
   preprocessConfluenceHtml,
+  DEFAULT_MACROS,
   createTurndownService
 };
@@ -0,0 +1,757 @@
+/**
+ * Confluence Storage Format
+ * Parses storage-format XHTML into a tree and renders it back as plain HTML for Turndown,
+ * converting the ac:/ri: elements and macros along the way
+ */
+
+const { parseDocument } = require('htmlparser2');
+
+// Elements serialized without a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// VuePress default-theme container for each Confluence panel macro (by colour:
+// note is yellow and warning is red in Confluence)
+const PANEL_CONTAINERS = { info: 'info', tip: 'tip', note: 'warning', warning: 'danger' };
+
+// VuePress default-theme container for each editor panel type (data-panel-type)
+const EDITOR_PANEL_CONTAINERS = { info: 'info', note: 'info', success: 'tip', warning: 'warning', error: 'danger' };
+
+// Utility: slugify page title for filename
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Utility: sanitize filename for Windows/cross-platform compatibility
+function sanitizeFilename(filename) {
+  // Replace characters invalid on Windows: < > : " / \ | ? *
+  // Also replace spaces with underscores for better URL compatibility
+  return filename
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, '_');
+}
+
+// Escape text for use inside an HTML element
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Escape text for use inside a double-quoted attribute
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Pick the container closest to a panel colour: red is danger, orange/yellow warning,
+// green tip, and blue, purple, grey or unparseable colours info
+function colorContainer(color) {
+  const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec((color || '').trim());
+  if (!match) return 'info';
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  if (delta < 0.05) return 'info';
+
+  let hue;
+  if (max === r) hue = ((g - b) / delta + 6) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  hue *= 60;
+
+  if (hue < 20 || hue >= 330) return 'danger';
+  if (hue < 70) return 'warning';
+  if (hue < 170) return 'tip';
+  return 'info';
+}
+
+// A VuePress custom container (::: type title), emitted by the vuepressContainer Turndown rule
+function container(type, title, body) {
+  const titleAttr = title ? ` data-container-title="${escapeAttribute(title)}"` : '';
+  return `<div data-container="${type}"${titleAttr}>${body}</div>`;
+}
+
+// VuePress Badge type for each status macro colour
+const STATUS_BADGES = { green: 'tip', yellow: 'warning', red: 'danger', blue: 'info', purple: 'info', grey: 'info' };
+
+// Heading levels a toc macro covers when minLevel/maxLevel are not set
+const DEFAULT_TOC_LEVELS = [1, 6];
+
+// Title Confluence shows on an expand without one
+const DEFAULT_EXPAND_TITLE = 'Click here to expand...';
+
+// Unicode emoji for the classic Confluence emoticons (ac:name); Unicode has no unlit
+// bulb or coloured stars, so those share the lit bulb and the yellow star
+const EMOTICONS = {
+  smile: '🙂',
+  sad: '🙁',
+  cheeky: '😛',
+  laugh: '😃',
+  wink: '😉',
+  'thumbs-up': '👍',
+  'thumbs-down': '👎',
+  information: 'ℹ️',
+  tick: '✅',
+  cross: '❌',
+  warning: '⚠️',
+  plus: '➕',
+  minus: '➖',
+  question: '❓',
+  'light-on': '💡',
+  'light-off': '💡',
+  'yellow-star': '⭐',
+  'red-star': '⭐',
+  'green-star': '⭐',
+  'blue-star': '⭐',
+  heart: '❤️',
+  'broken-heart': '💔'
+};
+
+// Classic emoticon behind each atlassian-* emoji id used by the new editor
+const ATLASSIAN_EMOJI = {
+  check_mark: 'tick',
+  cross_mark: 'cross',
+  warning: 'warning',
+  info: 'information',
+  question_mark: 'question',
+  plus: 'plus',
+  minus: 'minus',
+  light_bulb_on: 'light-on',
+  light_bulb_off: 'light-off',
+  yellow_star: 'yellow-star',
+  red_star: 'red-star',
+  green_star: 'green-star',
+  blue_star: 'blue-star'
+};
+
+// Helpers to navigate the parsed tree
+function isElement(node) {
+  return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function getAttr(node, name) {
+  return node.attribs?.[name];
+}
+
+function hasClass(node, className) {
+  return (getAttr(node, 'class') || '').split(/\s+/).includes(className);
+}
+
+function childElements(node, name) {
+  return (node?.children || []).filter(child => isElement(child) && child.name === name);
+}
+
+function findDescendant(node, predicate) {
+  for (const child of node.children || []) {
+    if (!isElement(child)) continue;
+    if (predicate(child)) return child;
+    const found = findDescendant(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Parse storage format; entities are left undecoded so text passes through exactly as written
+function parseStorage(html) {
+  return parseDocument(html, {
+    decodeEntities: false,
+    recognizeCDATA: true,
+    recognizeSelfClosing: true
+  });
+}
+
+// Raw text of a node; CDATA sections contribute their unescaped content
+function textContent(node) {
+  if (node.type === 'text') return node.data;
+  return (node.children || []).map(textContent).join('');
+}
+
+// Decode the basic character references left in raw text
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, ref) => {
+    const lower = ref.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[lower];
+  });
+}
+
+// Plain text of an ac:plain-text-body / ac:plain-text-link-body
+// CDATA content is taken as-is; other text is entity-encoded and gets decoded
+function plainText(node) {
+  return (node?.children || []).map(child =>
+    child.type === 'cdata' ? textContent(child) : decodeEntities(textContent(child))
+  ).join('');
+}
+
+// Read the ac:parameter children of a macro into an object keyed by parameter name
+function readMacroParams(node) {
+  const params = {};
+  for (const param of childElements(node, 'ac:parameter')) {
+    params[getAttr(param, 'ac:name') || ''] = decodeEntities(textContent(param));
+  }
+  return params;
+}
+
+// Read an ac:structured-macro element into what a macro converter receives:
+// { name, params, body, plainTextBody, pageSlug, inTable }, where body is the rendered
+// rich text body (HTML), plainTextBody the raw text of the plain text body and inTable
+// whether the macro sits in a table kept as HTML, where Markdown is not rendered
+function readMacro(node, context) {
+  const params = readMacroParams(node);
+  const richBody = childElements(node, 'ac:rich-text-body')[0];
+  const plainBody = childElements(node, 'ac:plain-text-body')[0];
+  return {
+    name: (getAttr(node, 'ac:name') || '').toLowerCase(),
+    params,
+    body: richBody ? context.renderChildren(richBody) : null,
+    plainTextBody: plainBody ? plainText(plainBody) : null,
+    pageSlug: context.pageSlug,
+    inTable: context.rawTable === true
+  };
+}
+
+// Macro converter: info/note/warning/tip panels become custom containers
+function panelMacro(macro) {
+  if (macro.body === null) return '';
+  return container(PANEL_CONTAINERS[macro.name], macro.params.title, macro.body);
+}
+
+// Macro converter: custom-coloured panels become the container closest to their colour
+function colorPanelMacro(macro) {
+  if (macro.body === null) return '';
+  const { bgColor, titleBGColor, borderColor, title } = macro.params;
+  return container(colorContainer(bgColor || titleBGColor || borderColor), title, macro.body);
+}
+
+// Macro converter: code blocks become pre/code with a language class
+function codeMacro(macro) {
+  if (macro.plainTextBody === null) return '';
+  // Convert tabs to newlines to ensure proper code block formatting
+  // (Confluence sometimes uses tabs as line separators in CDATA)
+  const code = escapeHtml(macro.plainTextBody.replace(/\t/g, '\n'));
+  return `<pre><code class="language-${escapeHtml(macro.params.language || '')}">${code}</code></pre>`;
+}
+
+// Macro converter: expands become collapsible details containers
+function expandMacro(macro) {
+  if (macro.body === null) return '';
+  return container('details', macro.params.title || DEFAULT_EXPAND_TITLE, macro.body);
+}
+
+// Macro converter: status lozenges become inline Badge components
+// The text is uppercased as Confluence displays it; pipes are encoded so badges are safe in table cells
+function statusMacro(macro) {
+  const colour = (macro.params.colour || macro.params.color || 'Grey').toLowerCase();
+  const text = (macro.params.title || colour).toUpperCase();
+  const type = STATUS_BADGES[colour] || 'info';
+  return { markdown: `<Badge type="${type}" text="${escapeAttribute(text).replace(/\|/g, '&#124;')}" />`, inline: true };
+}
+
+// Macro converter: tables of contents become VuePress's [[toc]] marker
+// Their heading levels go into the generated config instead (see getTocLevels)
+function tocMacro() {
+  return { markdown: '[[toc]]' };
+}
+
+// Macro converter: toc-zone keeps its body, with the marker above, below or on both sides
+function tocZoneMacro(macro) {
+  const location = (macro.params.location || 'both').toLowerCase();
+  const marker = markdownPlaceholder('[[toc]]', false);
+  return `${location === 'bottom' ? '' : marker}${macro.body || ''}${location === 'top' ? '' : marker}`;
+}
+
+// Built-in macro converters keyed by ac:name; ConfluenceToVuePress registers these first
+const DEFAULT_MACROS = {
+  ...Object.fromEntries(Object.keys(PANEL_CONTAINERS).map(name => [name, panelMacro])),
+  panel: colorPanelMacro,
+  expand: expandMacro,
+  status: statusMacro,
+  toc: tocMacro,
+  'toc-zone': tocZoneMacro,
+  code: codeMacro
+};
+
+// Fallback for macros without a converter: keep the rich text body (layout and container
+// macros such as section or expand) or, for body-less macros, only the images inside
+function unknownMacro(node, context) {
+  const richBody = childElements(node, 'ac:rich-text-body')[0];
+  if (richBody) return context.renderChildren(richBody);
+  const images = [];
+  const collect = (parent) => {
+    for (const child of parent.children || []) {
+      if (!isElement(child)) continue;
+      if (child.name === 'img' || child.name === 'ac:image') {
+        images.push(context.render(child));
+      } else {
+        collect(child);
+      }
+    }
+  };
+  collect(node);
+  return images.join('\n');
+}
+
+// Markdown returned by a converter is carried through Turndown as text, which the macroMarkdown
+// rule emits verbatim: preformatted for blocks, in a span for inline Markdown
+function markdownPlaceholder(markdown, inline) {
+  return inline
+    ? `<span data-macro-markdown="inline">${escapeHtml(markdown)}</span>`
+    : `<pre data-macro-markdown="block">${escapeHtml(markdown)}</pre>`;
+}
+
+// Element handler: ac:structured-macro dispatches to the converter registered for its name
+// Converters return HTML, { markdown, inline } for Markdown, or null to fall back to the default handling
+function renderMacro(node, context) {
+  const name = (getAttr(node, 'ac:name') || '').toLowerCase();
+  const converter = context.macros.get(name);
+  const result = converter ? converter(readMacro(node, context)) : null;
+  if (result === null || result === undefined) return unknownMacro(node, context);
+  if (typeof result === 'object' && typeof result.markdown === 'string') {
+    return markdownPlaceholder(result.markdown, result.inline === true);
+  }
+  return String(result);
+}
+
+// Element handler: ac:image with an attachment or an external URL
+function renderImage(node, context) {
+  const attachment = findDescendant(node, child => child.name === 'ri:attachment');
+  const filename = attachment && getAttr(attachment, 'ri:filename');
+  if (filename) {
+    const safeFilename = sanitizeFilename(filename);
+    return `<img src="./attachments/${context.pageSlug}/${safeFilename}" alt="${safeFilename}" />`;
+  }
+  const url = findDescendant(node, child => child.name === 'ri:url');
+  const value = url && getAttr(url, 'ri:value');
+  if (value) {
+    return `<img src="${value}" alt="external-image" />`;
+  }
+  return context.renderChildren(node);
+}
+
+// The user an ri:user element refers to, shaped like an API user: { accountId } on Cloud,
+// { userKey } or { username } on Server / Data Center
+function readUserRef(node) {
+  const accountId = getAttr(node, 'ri:account-id');
+  if (accountId) return { accountId };
+  const userKey = getAttr(node, 'ri:userkey');
+  if (userKey) return { userKey };
+  const username = getAttr(node, 'ri:username');
+  return username ? { username } : null;
+}
+
+// Identifier users are cached and mapped under
+function userId(user) {
+  return user?.accountId || user?.userKey || user?.username || null;
+}
+
+// Element handler: ac:link to a page or an attachment; user mentions become @Display Name
+function renderLink(node, context) {
+  const linkBody = childElements(node, 'ac:link-body')[0];
+  const plainBody = childElements(node, 'ac:plain-text-link-body')[0];
+  const body = linkBody
+    ? context.renderChildren(linkBody)
+    : (plainBody ? escapeHtml(plainText(plainBody)) : '');
+
+  const attachment = childElements(node, 'ri:attachment')[0];
+  const filename = attachment && getAttr(attachment, 'ri:filename');
+  if (filename) {
+    const safeFilename = sanitizeFilename(filename);
+    return `<a href="./attachments/${context.pageSlug}/${safeFilename}">${body || filename}</a>`;
+  }
+
+  const page = childElements(node, 'ri:page')[0];
+  const pageTitle = page && getAttr(page, 'ri:content-title');
+  if (pageTitle) {
+    return `<a href="CONFLUENCE_LINK:${slugify(pageTitle)}">${body || pageTitle}</a>`;
+  }
+
+  const user = childElements(node, 'ri:user')[0];
+  if (user) {
+    const name = context.users.get(userId(readUserRef(user)));
+    return name ? `@${escapeHtml(name)}` : (body || '@Unknown User');
+  }
+
+  // Other link targets (spaces, anchors) keep their text only
+  return body;
+}
+
+// Text for an emoticon: the Unicode emoji when known, otherwise its :shortname:
+// Emoji ids are code points (1f44d, 1f1fa-1f1f8), atlassian-* ids or ids of custom site
+// emojis; the new editor sets ac:name to a placeholder (blue-star) when an id is present
+function emoticonText({ name, id, shortname, fallback }) {
+  if (/^[0-9a-f]{2,6}(-[0-9a-f]{2,6})*$/i.test(id || '')) {
+    try {
+      return String.fromCodePoint(...id.split('-').map(part => parseInt(part, 16)));
+    } catch {
+      // Not a valid code point; treated as a custom emoji id
+    }
+  }
+  const classicName = id?.startsWith('atlassian-') ? ATLASSIAN_EMOJI[id.slice('atlassian-'.length)] : (!id && name);
+  if (classicName && EMOTICONS[classicName]) return EMOTICONS[classicName];
+  if (fallback && !/^:.*:$/.test(fallback)) return fallback;
+  return shortname || fallback || (name ? `:${name}:` : '');
+}
+
+// Element handler: ac:emoticon becomes its emoji as plain text
+function renderEmoticon(node) {
+  return escapeHtml(decodeEntities(emoticonText({
+    name: getAttr(node, 'ac:name'),
+    id: getAttr(node, 'ac:emoji-id'),
+    shortname: getAttr(node, 'ac:emoji-shortname'),
+    fallback: getAttr(node, 'ac:emoji-fallback')
+  })));
+}
+
+// Element handler: blob images uploaded by the editor, mapped to downloaded attachments,
+// and emoticon images from HTML exports (img.emoticon with emoticon-<name> and data-emoji-*)
+function renderHtmlImage(node, context) {
+  if (hasClass(node, 'emoticon')) {
+    const nameClass = (getAttr(node, 'class') || '').split(/\s+/).find(name => name.startsWith('emoticon-'));
+    return escapeHtml(decodeEntities(emoticonText({
+      name: nameClass?.slice('emoticon-'.length),
+      id: getAttr(node, 'data-emoji-id'),
+      shortname: getAttr(node, 'data-emoji-shortname'),
+      fallback: getAttr(node, 'data-emoji-fallback')
+    })));
+  }
+  const localPath = context.fileIdMap[getAttr(node, 'data-fileid')];
+  if (localPath) {
+    return `<img src="${localPath}" alt="${getAttr(node, 'alt') ?? 'image'}" />`;
+  }
+  return renderElement(node, context);
+}
+
+// Element handler: ac:adf-extension, used by the editor for nodes with no macro equivalent
+// Expands nested in tables are written this way; other nodes use their fallback markup
+function renderAdfExtension(node, context) {
+  const adfNode = childElements(node, 'ac:adf-node')[0];
+  const content = childElements(adfNode, 'ac:adf-content')[0];
+  if (['expand', 'nested-expand'].includes(getAttr(adfNode || {}, 'type')) && content) {
+    const titleAttribute = childElements(adfNode, 'ac:adf-attribute')
+      .find(attribute => getAttr(attribute, 'key') === 'title');
+    const title = titleAttribute ? decodeEntities(textContent(titleAttribute)) : '';
+    return container('details', title || DEFAULT_EXPAND_TITLE, context.renderChildren(content));
+  }
+  const fallback = childElements(node, 'ac:adf-fallback')[0];
+  return context.renderChildren(fallback || content || {});
+}
+
+// Element handler: Atlassian editor panels (custom ones by their colour), expands and their decorations
+function renderDiv(node, context) {
+  if (hasClass(node, 'ak-editor-panel__icon')) return '';
+  if (hasClass(node, 'ak-editor-expand')) {
+    const content = findDescendant(node, child => hasClass(child, 'ak-editor-expand__content'));
+    const title = decodeEntities(getAttr(node, 'data-title') || '');
+    return content ? container('details', title || DEFAULT_EXPAND_TITLE, context.renderChildren(content)) : '';
+  }
+  if (hasClass(node, 'ak-editor-panel') && getAttr(node, 'data-panel-type') !== undefined) {
+    const panelType = getAttr(node, 'data-panel-type');
+    const type = EDITOR_PANEL_CONTAINERS[panelType] || colorContainer(getAttr(node, 'data-panel-color'));
+    const content = findDescendant(node, child => hasClass(child, 'ak-editor-panel__content')) || node;
+    return container(type, null, context.renderChildren(content));
+  }
+  return renderElement(node, context);
+}
+
+// Element handler: ac:task-list becomes a list of task items for the taskListItem Turndown rule
+function renderTaskList(node, context) {
+  const tasks = childElements(node, 'ac:task').map(context.render).join('');
+  return tasks ? `<ul>${tasks}</ul>` : '';
+}
+
+// Element handler: ac:task keeps its body and any nested task list; id and status markup is dropped
+function renderTask(node, context) {
+  const status = textContent(childElements(node, 'ac:task-status')[0] || {}).trim();
+  const body = childElements(node, 'ac:task-body').map(context.renderChildren).join('').trim();
+  const nested = childElements(node, 'ac:task-list').map(context.render).join('');
+  return `<li data-task-status="${status === 'complete' ? 'complete' : 'incomplete'}">${body}${nested}</li>`;
+}
+
+// Element handler: task lists in HTML exports (ul.inline-task-list, checked items have class checked)
+function renderList(node, context) {
+  if (!hasClass(node, 'inline-task-list')) return renderElement(node, context);
+  const items = node.children.filter(child => isElement(child) && child.name === 'li').map(item => {
+    const status = hasClass(item, 'checked') ? 'complete' : 'incomplete';
+    return `<li data-task-status="${status}">${context.renderChildren(item).trim()}</li>`;
+  });
+  return `<ul>${items.join('')}</ul>`;
+}
+
+// Element handler: dates (such as task due dates) become their plain text
+function renderTime(node, context) {
+  const datetime = getAttr(node, 'datetime');
+  return datetime ? escapeHtml(decodeEntities(datetime)) : context.renderChildren(node);
+}
+
+// Element handler: heading anchors, screen-reader text and loadable wrappers
+function renderSpan(node, context) {
+  if ((getAttr(node, 'class') || '').includes('heading-anchor-wrapper')) return '';
+  if ((getAttr(node, 'data-testid') || '').startsWith('visually-hidden')) return '';
+  if (getAttr(node, 'data-loadable-vc-wrapper') !== undefined) return context.renderChildren(node);
+  return renderElement(node, context);
+}
+
+function renderButton(node, context) {
+  if (getAttr(node, 'data-testid') === 'anchor-button') return '';
+  return renderElement(node, context);
+}
+
+// Elements in a table cell that a GFM table cannot hold
+const BLOCK_CELL_ELEMENTS = new Set(['ul', 'ol', 'pre', 'table', 'blockquote', 'ac:task-list', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Macros rendered as code blocks, containers or tables; a Jira macro for a single issue
+// (with a key parameter) is an inline link and stays in a GFM table
+const BLOCK_MACROS = new Set(['code', 'expand', 'panel', 'jira', 'jiraissues', ...Object.keys(PANEL_CONTAINERS)]);
+
+// Attributes kept in tables written as HTML
+const RAW_TABLE_ATTRIBUTES = { th: ['rowspan', 'colspan'], td: ['rowspan', 'colspan'], a: ['href'], img: ['src', 'alt'], ol: ['start'] };
+
+// A table needs HTML when it has merged cells or block content (lists, code, nested tables, panels)
+function isComplexTable(table) {
+  return findDescendant(table, node => {
+    if (node.name === 'th' || node.name === 'td') {
+      return ['rowspan', 'colspan'].some(name => parseInt(getAttr(node, name), 10) > 1);
+    }
+    if (node.name === 'ac:structured-macro' || node.name === 'ac:macro') {
+      const name = (getAttr(node, 'ac:name') || '').toLowerCase();
+      return BLOCK_MACROS.has(name) && !(name.startsWith('jira') && readMacroParams(node).key);
+    }
+    return BLOCK_CELL_ELEMENTS.has(node.name) || node.name === 'ac:adf-extension'
+      || hasClass(node, 'ak-editor-panel') || hasClass(node, 'ak-editor-expand');
+  }) !== null;
+}
+
+// Serialize a rendered table as compact HTML that VuePress embeds as-is: only spans, links,
+// images and code languages keep their attributes, containers and tasks get the markup the
+// theme renders them with, and text can neither start a Vue interpolation nor contain the
+// blank line that would end the HTML block (code keeps its line breaks as &#10;)
+function rawTableHtml(node, inPre = false) {
+  if (node.type === 'text') {
+    const text = node.data.replace(/{{/g, '&#123;&#123;');
+    return inPre ? text.replace(/\r?\n/g, '&#10;') : text.replace(/\s*\n\s*/g, ' ');
+  }
+  if (!isElement(node)) return (node.children || []).map(child => rawTableHtml(child, inPre)).join('');
+
+  const children = () => node.children.map(child => rawTableHtml(child, inPre || node.name === 'pre')).join('');
+  if (node.name.includes(':')) return children();
+  if (getAttr(node, 'data-macro-markdown') === 'inline') return decodeEntities(textContent(node));
+
+  const containerType = getAttr(node, 'data-container');
+  if (containerType === 'details') {
+    return `<details class="custom-container details"><summary>${getAttr(node, 'data-container-title') || ''}</summary>${children()}</details>`;
+  }
+  if (containerType) {
+    const title = getAttr(node, 'data-container-title') || containerType.toUpperCase();
+    return `<div class="custom-container ${containerType}"><p class="custom-container-title">${title}</p>${children()}</div>`;
+  }
+  if (getAttr(node, 'data-task-status')) {
+    const checked = getAttr(node, 'data-task-status') === 'complete' ? ' checked' : '';
+    return `<li><input type="checkbox" disabled${checked} /> ${children()}</li>`;
+  }
+
+  const kept = (RAW_TABLE_ATTRIBUTES[node.name] || []).filter(name => getAttr(node, name) !== undefined);
+  if (node.name === 'code' && /^language-\S+$/.test(getAttr(node, 'class') || '')) kept.push('class');
+  const attrs = kept.map(name => ` ${name}="${getAttr(node, name).replace(/"/g, '&quot;')}"`).join('');
+  if (VOID_ELEMENTS.has(node.name)) return `<${node.name}${attrs} />`;
+  return `<${node.name}${attrs}>${children()}</${node.name}>`;
+}
+
+// Element handler: tables that GFM can represent lose their attributes and colgroups, and a
+// leading all-<th> row in the tbody moves into a thead for proper markdown conversion;
+// complex tables are rendered the same way, keeping cell paragraphs and spans, and are
+// passed through Turndown as HTML
+function renderTable(node, context) {
+  if (!context.rawTable && isComplexTable(node)) {
+    const html = renderTable(node, createContext({ ...context, rawTable: true }));
+    return markdownPlaceholder(rawTableHtml(parseStorage(html)), false);
+  }
+
+  const children = node.children.filter(child => !(isElement(child) && child.name === 'colgroup'));
+  const tbody = children.find(isElement);
+  if (tbody?.name === 'tbody') {
+    const firstRow = tbody.children.find(isElement);
+    const cells = firstRow ? firstRow.children.filter(isElement) : [];
+    if (firstRow?.name === 'tr' && cells.length > 0 && cells.every(cell => cell.name === 'th')) {
+      const rest = tbody.children.slice(tbody.children.indexOf(firstRow) + 1);
+      const rendered = children.map(child => child === tbody
+        ? `<thead>${context.render(firstRow)}</thead><tbody>${rest.map(context.render).join('')}</tbody>`
+        : context.render(child));
+      return `<table>${rendered.join('')}</table>`;
+    }
+  }
+  return `<table>${children.map(context.render).join('')}</table>`;
+}
+
+// Element handler: table cells lose their attributes and paragraph wrappers;
+// consecutive paragraphs are joined with line breaks. Cells of tables kept as HTML keep
+// their spans and block content, unwrapping only a lone paragraph
+function renderCell(node, context) {
+  if (context.rawTable) {
+    const spans = ['rowspan', 'colspan']
+      .filter(name => parseInt(getAttr(node, name), 10) > 1)
+      .map(name => ` ${name}="${parseInt(getAttr(node, name), 10)}"`)
+      .join('');
+    const blocks = node.children.filter(child => !(child.type === 'text' && !child.data.trim()));
+    const content = blocks.length === 1 && isElement(blocks[0]) && blocks[0].name === 'p' ? blocks[0] : node;
+    return `<${node.name}${spans}>${context.renderChildren(content).trim()}</${node.name}>`;
+  }
+
+  let content = '';
+  let afterParagraph = false;
+  for (const child of node.children) {
+    if (isElement(child) && child.name === 'p') {
+      if (afterParagraph) content = content.replace(/\s*$/, '') + '<br/>';
+      content += context.renderChildren(child);
+      afterParagraph = true;
+    } else {
+      if (!(child.type === 'text' && !child.data.trim())) afterParagraph = false;
+      content += context.render(child);
+    }
+  }
+  return `<${node.name}>${content.trim()}</${node.name}>`;
+}
+
+// Element handlers keyed by tag name
+const ELEMENT_HANDLERS = {
+  'ac:structured-macro': renderMacro,
+  'ac:macro': renderMacro,
+  'ac:image': renderImage,
+  'ac:link': renderLink,
+  'ac:emoticon': renderEmoticon,
+  'ac:adf-extension': renderAdfExtension,
+  'ac:task-list': renderTaskList,
+  'ac:task': renderTask,
+  'ac:parameter': () => '',
+  svg: () => '',
+  img: renderHtmlImage,
+  div: renderDiv,
+  span: renderSpan,
+  button: renderButton,
+  ul: renderList,
+  time: renderTime,
+  table: renderTable,
+  th: renderCell,
+  td: renderCell
+};
+
+// Serialize an element as-is, rendering its children
+function renderElement(node, context) {
+  const attrs = Object.entries(node.attribs || {})
+    .map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+    .join('');
+  if (VOID_ELEMENTS.has(node.name)) {
+    return `<${node.name}${attrs} />`;
+  }
+  return `<${node.name}${attrs}>${context.renderChildren(node)}</${node.name}>`;
+}
+
+function renderNode(node, context) {
+  switch (node.type) {
+    case 'text':
+      return node.data;
+    case 'cdata':
+      return `<![CDATA[${textContent(node)}]]>`;
+    case 'comment':
+      return `<!--${node.data}-->`;
+    case 'directive':
+      return `<${node.data}>`;
+    default: {
+      if (!isElement(node)) return '';
+      const handler = ELEMENT_HANDLERS[node.name] || renderElement;
+      return handler(node, context);
+    }
+  }
+}
+
+// The heading levels [min, max] covered by the toc and toc-zone macros of a page, or null without any
+function getTocLevels(html) {
+  if (!/ac:name="toc(-zone)?"/i.test(html)) return null;
+  const document = parseStorage(html);
+
+  let levels = null;
+  const visit = (node) => {
+    for (const child of node.children || []) {
+      if (!isElement(child)) continue;
+      const name = (getAttr(child, 'ac:name') || '').toLowerCase();
+      if (child.name === 'ac:structured-macro' && (name === 'toc' || name === 'toc-zone')) {
+        const params = readMacroParams(child);
+        const clamp = (value, fallback) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), 6);
+        let min = clamp(params.minLevel, DEFAULT_TOC_LEVELS[0]);
+        let max = clamp(params.maxLevel, DEFAULT_TOC_LEVELS[1]);
+        if (min > max) [min, max] = [max, min];
+        levels = levels ? [Math.min(levels[0], min), Math.max(levels[1], max)] : [min, max];
+      }
+      visit(child);
+    }
+  };
+  visit(document);
+  return levels;
+}
+
+// The users mentioned in a page, for resolving their display names before conversion
+function getUserMentions(html) {
+  if (!html.includes('ri:user')) return [];
+  const users = [];
+  const visit = (node) => {
+    for (const child of node.children || []) {
+      if (!isElement(child)) continue;
+      const user = child.name === 'ri:user' && readUserRef(child);
+      if (user) users.push(user);
+      visit(child);
+    }
+  };
+  visit(parseStorage(html));
+  return users;
+}
+
+// Rendering context handed to element handlers and macro converters; render and
+// renderChildren render with the context they belong to
+function createContext(options) {
+  const context = {
+    ...options,
+    render: (node) => renderNode(node, context),
+    renderChildren: (node) => (node.children || []).map(child => renderNode(child, context)).join('')
+  };
+  return context;
+}
+
+// Pre-process Confluence HTML to convert special elements before Turndown
+// users maps user identifiers (see userId) to display names
+function preprocessConfluenceHtml(html, pageSlug, attachments = [], macros = null, users = new Map()) {
+  // Build fileId to path mapping for blob images
+  const fileIdMap = {};
+  attachments.forEach(att => {
+    if (att.fileId) {
+      fileIdMap[att.fileId] = att.path;
+    }
+  });
+
+  const document = parseStorage(html);
+
+  const context = createContext({
+    pageSlug,
+    fileIdMap,
+    macros: macros instanceof Map ? macros : new Map(Object.entries(macros || DEFAULT_MACROS)),
+    users
+  });
+  return context.renderChildren(document);
+}
+
+module.exports = {
+  DEFAULT_MACROS,
+  escapeAttribute,
+  escapeHtml,
+  getTocLevels,
+  getUserMentions,
+  preprocessConfluenceHtml,
+  sanitizeFilename,
+  slugify,
+  userId
+};
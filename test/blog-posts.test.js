@@ -0,0 +1,130 @@
+/**
+ * Unit tests for blog post migration
+ */
+
+const { createFakeMigrator, listResponse } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Blog posts', () => {
+  let tempDir;
+  let site;
+
+  // Minimal in-memory Confluence space: one page and two blog posts
+  const createSite = () => ({
+    pages: {
+      '1': { id: '1', title: 'Root', version: 1, body: '<p>Root</p>' },
+      '10': { id: '10', title: 'Release 1.0', version: 1, body: '<p>First release</p>' },
+      '11': { id: '11', title: 'Release 2.0: Faster', version: 2, body: '<p>Second release</p>' }
+    },
+    blogPosts: [
+      { id: '10', createdDate: '2023-11-20T09:00:00.000Z', author: 'Ada Lovelace' },
+      { id: '11', createdDate: '2024-03-05T16:30:00.000Z', author: 'Grace Hopper' }
+    ]
+  });
+
+  const createMigrator = (options = {}) => createFakeMigrator({
+    outputDir: tempDir,
+    site,
+    spaceKey: 'DOCS',
+    blogPosts: true,
+    routes: (url) => url === '/space/DOCS/content/blogpost' ? listResponse(site.blogPosts.map(post => ({
+      id: post.id,
+      title: site.pages[post.id].title,
+      version: { number: site.pages[post.id].version },
+      history: { createdDate: post.createdDate, createdBy: { displayName: post.author } }
+    }))) : undefined,
+    ...options
+  });
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `test-blog-${Date.now()}`);
+    site = createSite();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes posts under blog/YYYY/MM/slug/ with date and author frontmatter', async () => {
+    const result = await createMigrator().migrate();
+
+    expect(result.blogPosts).toBe(2);
+    const content = await fs.readFile(path.join(tempDir, 'blog/2024/03/release-2-0-faster/README.md'), 'utf-8');
+    expect(content).toMatch(/^---\ntitle: "Release 2.0: Faster"\ndate: "2024-03-05"\nauthor: Grace Hopper\n---/);
+    expect(content).toContain('Second release');
+    expect(await fs.readFile(path.join(tempDir, 'blog/2023/11/release-1-0/README.md'), 'utf-8')).toContain('First release');
+  });
+
+  test('creates a blog index listing posts newest first, grouped by year', async () => {
+    await createMigrator().migrate();
+
+    const index = await fs.readFile(path.join(tempDir, 'blog/README.md'), 'utf-8');
+    expect(index).toContain('# Blog');
+    expect(index).toContain('- [Release 2.0: Faster](./2024/03/release-2-0-faster/) — 2024-03-05 · Grace Hopper');
+    expect(index.indexOf('## 2024')).toBeLessThan(index.indexOf('## 2023'));
+    expect(index.indexOf('## 2023')).toBeLessThan(index.indexOf('Release 1.0'));
+  });
+
+  test('adds a blog section to the sidebar', async () => {
+    await createMigrator().migrate();
+
+    const config = await fs.readFile(path.join(tempDir, '.vuepress/config.js'), 'utf-8');
+    expect(config).toContain('text: "Blog"');
+    expect(config).toContain('link: "/blog/"');
+    expect(config).toContain('text: "2023"');
+    expect(config).toContain('link: "/blog/2024/03/release-2-0-faster/"');
+  });
+
+  test('skips unchanged posts on the next run', async () => {
+    await createMigrator().migrate();
+
+    site.pages['11'].version = 3;
+    site.pages['11'].body = '<p>Second release, revised</p>';
+    const migrator = createMigrator();
+    const result = await migrator.migrate();
+
+    const fetched = migrator.api.get.mock.calls.map(([url]) => url).filter(url => /^\/content\/\w+$/.test(url));
+    expect(fetched).toEqual(['/content/1', '/content/11']);
+    expect(result.pagesUnchanged).toBe(2);
+    expect(await fs.readFile(path.join(tempDir, 'blog/2024/03/release-2-0-faster/README.md'), 'utf-8')).toContain('revised');
+  });
+
+  test('gives posts with the same title in the same month unique folders', async () => {
+    site.pages['12'] = { id: '12', title: 'Release 2.0: Faster', version: 1, body: '<p>Follow-up</p>' };
+    site.blogPosts.push({ id: '12', createdDate: '2024-03-28T10:00:00.000Z', author: 'Ada Lovelace' });
+    await createMigrator().migrate();
+
+    const first = await fs.readFile(path.join(tempDir, 'blog', '2024', '03', 'release-2-0-faster', 'README.md'), 'utf-8');
+    const second = await fs.readFile(path.join(tempDir, 'blog', '2024', '03', 'release-2-0-faster-12', 'README.md'), 'utf-8');
+    expect(first).toContain('Second release');
+    expect(second).toContain('Follow-up');
+  });
+
+  test('does not fetch blog posts unless enabled', async () => {
+    const migrator = createMigrator({ blogPosts: false });
+    const result = await migrator.migrate();
+
+    expect(result.blogPosts).toBe(0);
+    expect(migrator.api.get.mock.calls.some(([url]) => url.includes('blogpost'))).toBe(false);
+    await expect(fs.access(path.join(tempDir, 'blog'))).rejects.toThrow();
+  });
+
+  test('never prunes the blog folders, but prunes deleted posts', async () => {
+    await createMigrator().migrate();
+
+    site.blogPosts = site.blogPosts.filter(post => post.id !== '10');
+    const result = await createMigrator({ prune: 'dry-run' }).migrate();
+
+    expect(result.pruned).toEqual(['blog/2023/11/release-1-0/']);
+  });
+
+  test('requires a space key', () => {
+    const migrator = createMigrator({ spaceKey: undefined });
+    migrator.config.spaceKey = undefined;
+    expect(() => migrator.validateConfig()).toThrow('spaceKey (for blog posts)');
+  });
+});
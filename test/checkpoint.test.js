@@ -0,0 +1,140 @@
+/**
+ * Unit tests for checkpointing and resuming interrupted migrations
+ */
+
+const { CHECKPOINT_FILE } = require('../src/migrator');
+const { createFakeMigrator } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Checkpoint and resume', () => {
+  let tempDir;
+  let failingPageId;
+  let failingAttachmentsPageId;
+
+  // Root → Guide → Setup, with Root linking to Setup
+  const pages = {
+    '1': { title: 'Root', children: ['2'], body: '<p>Start with <a href="https://test.atlassian.net/wiki/spaces/DOCS/pages/3/Setup">setup</a>.</p>' },
+    '2': { title: 'Guide', children: ['3'], body: '<p>Guide</p>' },
+    '3': { title: 'Setup', children: [], body: '<p>Setup</p>' }
+  };
+
+  const createMigrator = (options = {}) => createFakeMigrator({
+    outputDir: tempDir,
+    site: { pages },
+    routes: (url) => {
+      if (url === `/content/${failingPageId}`) throw new Error('socket hang up');
+      if (url === `/content/${failingAttachmentsPageId}/child/attachment`) throw new Error('Request failed with status code 500');
+    },
+    ...options
+  });
+
+  const fetchedPages = (migrator) => migrator.api.get.mock.calls
+    .map(([url]) => url)
+    .filter(url => /^\/content\/\w+$/.test(url));
+
+  const checkpointPath = () => path.join(tempDir, CHECKPOINT_FILE);
+
+  // Run until Setup fails, leaving a checkpoint behind
+  const interruptedRun = async () => {
+    failingPageId = '3';
+    await expect(createMigrator().migrate()).rejects.toThrow('socket hang up');
+    failingPageId = null;
+  };
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `test-checkpoint-${Date.now()}`);
+    failingPageId = null;
+    failingAttachmentsPageId = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('records completed pages in a checkpoint when a run is interrupted', async () => {
+    await interruptedRun();
+
+    const [header, ...records] = (await fs.readFile(checkpointPath(), 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(header.source).toMatchObject({ rootPageId: '1' });
+    expect(records.map(record => record.pageId)).toEqual(['1', '2']);
+    expect(records[1]).toMatchObject({
+      status: 'updated',
+      page: { title: 'Guide', path: 'root/guide/' },
+      children: [{ id: '3', title: 'Setup' }]
+    });
+  });
+
+  test('resumes without refetching completed pages', async () => {
+    await interruptedRun();
+
+    const migrator = createMigrator({ resume: true });
+    const result = await migrator.migrate();
+
+    expect(fetchedPages(migrator)).toEqual(['/content/3']);
+    expect(result.pagesProcessed).toBe(3);
+    expect(result.pagesUpdated).toBe(3);
+  });
+
+  test('keeps failures and retrieval counts from before the interruption', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    failingAttachmentsPageId = '2';
+    await interruptedRun();
+    failingAttachmentsPageId = null;
+
+    const result = await createMigrator({ resume: true }).migrate();
+    expect(result.failures).toEqual([
+      expect.objectContaining({ type: 'attachment', pageId: '2', message: 'Request failed with status code 500' })
+    ]);
+    expect(result.retrievalCounts).toEqual({
+      '1': { attachments: 0, childPages: 1 },
+      '2': { childPages: 1 },
+      '3': { attachments: 0, childPages: 0 }
+    });
+  });
+
+  test('finishes links and config as if the run had been uninterrupted', async () => {
+    await interruptedRun();
+    await createMigrator({ resume: true }).migrate();
+
+    const root = await fs.readFile(path.join(tempDir, 'root', 'README.md'), 'utf-8');
+    expect(root).toContain('[setup](../root/guide/setup/)');
+    const config = await fs.readFile(path.join(tempDir, '.vuepress', 'config.js'), 'utf-8');
+    expect(config).toContain('link: "/root/guide/setup/"');
+  });
+
+  test('removes the checkpoint once the run completes', async () => {
+    await interruptedRun();
+    await createMigrator({ resume: true }).migrate();
+
+    await expect(fs.access(checkpointPath())).rejects.toThrow();
+  });
+
+  test('starts from scratch without --resume', async () => {
+    await interruptedRun();
+
+    const migrator = createMigrator();
+    await migrator.migrate();
+    expect(fetchedPages(migrator)).toEqual(['/content/1', '/content/2', '/content/3']);
+  });
+
+  test('ignores a checkpoint written for another source', async () => {
+    await interruptedRun();
+
+    const migrator = createMigrator({ resume: true, spaceKey: 'OTHER' });
+    await migrator.migrate();
+    expect(fetchedPages(migrator)).toHaveLength(3);
+  });
+
+  test('ignores a line truncated by the interruption', async () => {
+    await interruptedRun();
+    await fs.appendFile(checkpointPath(), '{"pageId":"3","sta');
+
+    const migrator = createMigrator({ resume: true });
+    await migrator.migrate();
+    expect(fetchedPages(migrator)).toEqual(['/content/3']);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for page comment migration
+ */
+
+const { MANIFEST_FILE } = require('../src/migrator');
+const { createFakeMigrator } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Page comments', () => {
+  let tempDir;
+  let comments;
+
+  const comment = (id, body, { author = 'Ada Lovelace', created, parent, location = 'footer', resolution, selection } = {}) => ({
+    id,
+    body: { storage: { value: body } },
+    version: { number: 1 },
+    history: { createdDate: created, createdBy: { displayName: author } },
+    ancestors: parent ? [{ id: parent }] : [],
+    extensions: {
+      location,
+      ...(resolution && { resolution: { status: resolution } }),
+      ...(selection && { inlineProperties: { originalSelection: selection } })
+    }
+  });
+
+  const createComments = () => [
+    comment('c2', '<p>Agreed, ship it.</p>', { author: 'Grace Hopper', created: '2024-03-05T11:00:00.000Z', parent: 'c1' }),
+    comment('c1', '<p>We chose <strong>Postgres</strong>.</p>', { created: '2024-03-05T10:00:00.000Z' }),
+    comment('c3', '<p>Typo here</p>', { created: '2024-03-06T09:00:00.000Z', location: 'inline', resolution: 'resolved', selection: 'teh' })
+  ];
+
+  const createMigrator = (options = {}) => createFakeMigrator({
+    outputDir: tempDir,
+    site: { pages: { '1': { title: 'Design', body: '<p>Body</p>' } }, comments: { '1': comments } },
+    comments: 'section',
+    ...options
+  });
+
+  const readPage = (file = 'README.md') => fs.readFile(path.join(tempDir, 'design', file), 'utf-8');
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `test-comments-${Date.now()}`);
+    comments = createComments();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('appends a collapsible discussion section with threaded replies', async () => {
+    await createMigrator().migrate();
+
+    const content = await readPage();
+    expect(content).toContain('## Discussion\n\n::: details 2 threads');
+    expect(content).toContain('**Ada Lovelace** · 2024-03-05 10:00\n\nWe chose **Postgres**.');
+    expect(content).toContain('> **Grace Hopper** · 2024-03-05 11:00\n>\n> Agreed, ship it.');
+    expect(content).toContain('_On "teh":_');
+    expect(content.trimEnd().endsWith(':::')).toBe(true);
+  });
+
+  test('lengthens the discussion fence around containers in comments', async () => {
+    comments = [comment('c1', '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>Heads up</p></ac:rich-text-body></ac:structured-macro><p>After the panel</p>', {
+      created: '2024-03-05T10:00:00.000Z'
+    })];
+    await createMigrator().migrate();
+
+    const content = await readPage();
+    expect(content).toContain(':::: details 1 thread');
+    expect(content).toMatch(/::: info\nHeads up\n:::\n\nAfter the panel\n\n::::\n$/);
+  });
+
+  test('requests replies and comment metadata', async () => {
+    const migrator = createMigrator();
+    await migrator.fetchComments('1');
+
+    const [, { params }] = migrator.api.get.mock.calls[0];
+    expect(params.depth).toBe('all');
+    expect(params.expand).toContain('body.storage');
+    expect(params.expand).toContain('extensions.resolution');
+  });
+
+  test('can exclude resolved inline comments', async () => {
+    await createMigrator({ excludeResolvedComments: true }).migrate();
+
+    const content = await readPage();
+    expect(content).toContain('::: details 1 thread');
+    expect(content).not.toContain('Typo here');
+  });
+
+  test('writes comments to a sibling comments.md in file mode', async () => {
+    await createMigrator({ comments: 'file' }).migrate();
+
+    const page = await readPage();
+    const discussion = await readPage('comments.md');
+    expect(page).toContain('[Discussion (2 threads)](./comments.md)');
+    expect(page).not.toContain('Postgres');
+    expect(discussion).toContain('title: "Discussion: Design"');
+    expect(discussion).toContain('Comments on [Design](./README.md)');
+    expect(discussion).toContain('Postgres');
+  });
+
+  test('fixes page links in comments.md', async () => {
+    comments = [comment('c1', '<p>See <ac:link><ri:page ri:content-title="Design" /></ac:link></p>', { created: '2024-03-05T10:00:00.000Z' })];
+    await createMigrator({ comments: 'file' }).migrate();
+
+    const discussion = await readPage('comments.md');
+    expect(discussion).toContain('See [Design](../design/)');
+    expect(discussion).not.toContain('CONFLUENCE_LINK');
+  });
+
+  test('escapes the quoted selection of inline comments', async () => {
+    comments = [comment('c1', '<p>Fix</p>', {
+      created: '2024-03-05T10:00:00.000Z',
+      location: 'inline',
+      selection: 'a *b* <i>c</i>\n{{ d }}_e'
+    })];
+    await createMigrator().migrate();
+
+    expect(await readPage()).toContain('_On "a \\*b\\* &lt;i&gt;c&lt;/i&gt; &#123;&#123; d }}\\_e":_');
+  });
+
+  test('adds nothing when a page has no comments', async () => {
+    comments = [];
+    await createMigrator().migrate();
+
+    expect(await readPage()).not.toContain('Discussion');
+  });
+
+  test('does not fetch comments unless enabled', async () => {
+    const migrator = createMigrator({ comments: false });
+    await migrator.migrate();
+
+    expect(migrator.api.get.mock.calls.some(([url]) => url.includes('comment'))).toBe(false);
+  });
+
+  test('reconverts an unchanged page when its comments change', async () => {
+    await createMigrator().migrate();
+    const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), 'utf-8'));
+    expect(manifest.pages['1'].comments).toBeTruthy();
+
+    const unchanged = await createMigrator().migrate();
+    expect(unchanged.pagesUnchanged).toBe(1);
+
+    comments.push(comment('c4', '<p>New thought</p>', { created: '2024-04-01T08:00:00.000Z' }));
+    const updated = await createMigrator().migrate();
+    expect(updated.pagesUpdated).toBe(1);
+    expect(await readPage()).toContain('New thought');
+  });
+
+  test('rejects unknown comment modes', () => {
+    expect(() => createMigrator({ comments: 'inline' }).validateConfig()).toThrow('Invalid comments mode "inline"');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for concurrent processing and request retries
+ */
+
+const {
+  ConfluenceToVuePress,
+  createLimiter,
+  isRetryableError,
+  getRetryDelay
+} = require('../src/migrator');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('createLimiter', () => {
+  test('never runs more tasks than the limit', async () => {
+    const limit = createLimiter(2);
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => limit(task)));
+    expect(peak).toBe(2);
+  });
+
+  test('resolves each task with its own result', async () => {
+    const limit = createLimiter(3);
+    const results = await Promise.all([3, 1, 2].map(n => limit(async () => n * 10)));
+    expect(results).toEqual([30, 10, 20]);
+  });
+
+  test('propagates rejections and keeps going', async () => {
+    const limit = createLimiter(1);
+    await expect(limit(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    await expect(limit(async () => 'ok')).resolves.toBe('ok');
+  });
+});
+
+describe('Retries', () => {
+  describe('isRetryableError', () => {
+    test('retries 429 and 5xx responses', () => {
+      expect(isRetryableError({ response: { status: 429 } })).toBe(true);
+      expect(isRetryableError({ response: { status: 503 } })).toBe(true);
+    });
+
+    test('does not retry client errors', () => {
+      expect(isRetryableError({ response: { status: 404 } })).toBe(false);
+      expect(isRetryableError({ response: { status: 401 } })).toBe(false);
+    });
+
+    test('retries dropped connections', () => {
+      expect(isRetryableError({ code: 'ECONNRESET' })).toBe(true);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('honours Retry-After seconds', () => {
+      expect(getRetryDelay({ response: { headers: { 'retry-after': '7' } } }, 1)).toBe(7000);
+    });
+
+    test('honours Retry-After dates', () => {
+      const date = new Date(Date.now() + 3000).toUTCString();
+      const delay = getRetryDelay({ response: { headers: { 'retry-after': date } } }, 1);
+      expect(delay).toBeGreaterThan(1000);
+      expect(delay).toBeLessThanOrEqual(3000);
+    });
+
+    test('backs off exponentially without Retry-After', () => {
+      const first = getRetryDelay({}, 1, 100);
+      const third = getRetryDelay({}, 3, 100);
+      expect(first).toBeGreaterThanOrEqual(100);
+      expect(first).toBeLessThan(200);
+      expect(third).toBeGreaterThanOrEqual(400);
+      expect(third).toBeLessThan(500);
+    });
+
+    test('caps the delay', () => {
+      expect(getRetryDelay({}, 20, 1000, 5000)).toBe(5000);
+    });
+  });
+
+  describe('API client', () => {
+    let migrator;
+
+    beforeEach(() => {
+      migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '12345',
+        email: 'test@example.com',
+        apiToken: 'test-token',
+        maxRetries: 2,
+        retryBaseDelay: 1
+      });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const failure = (config, status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = config;
+      error.response = { status, headers, config };
+      return error;
+    };
+
+    test('retries rate-limited requests until they succeed', async () => {
+      const adapter = jest.fn()
+        .mockImplementationOnce(config => Promise.reject(failure(config, 429, { 'retry-after': '0' })))
+        .mockImplementationOnce(config => Promise.reject(failure(config, 502)))
+        .mockImplementationOnce(config => Promise.resolve({ data: { title: 'Root' }, status: 200, headers: {}, config }));
+      migrator.api.defaults.adapter = adapter;
+
+      const page = await migrator.fetchPage('12345');
+      expect(page.title).toBe('Root');
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    test('gives up after maxRetries', async () => {
+      const adapter = jest.fn(config => Promise.reject(failure(config, 503)));
+      migrator.api.defaults.adapter = adapter;
+
+      await expect(migrator.fetchPage('12345')).rejects.toThrow('503');
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    test('rejects an invalid maxRetries', () => {
+      const create = (maxRetries) => new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '12345',
+        email: 'test@example.com',
+        apiToken: 'test-token',
+        maxRetries
+      });
+      expect(() => create('abc').validateConfig()).toThrow('Invalid maxRetries');
+      expect(() => create(-1).validateConfig()).toThrow('Invalid maxRetries');
+      expect(() => create('0').validateConfig()).not.toThrow();
+    });
+
+    test('does not retry permanent failures', async () => {
+      const adapter = jest.fn(config => Promise.reject(failure(config, 404)));
+      migrator.api.defaults.adapter = adapter;
+
+      await expect(migrator.fetchPage('12345')).rejects.toThrow('404');
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('Concurrent page processing', () => {
+  let tempDir;
+  let migrator;
+
+  const tree = {
+    root: ['a', 'b', 'c'],
+    a: ['a1', 'a2'],
+    b: [],
+    c: ['c1']
+  };
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `test-concurrency-${Date.now()}`);
+    migrator = new ConfluenceToVuePress({
+      confluenceUrl: 'https://test.atlassian.net',
+      rootPageId: 'root',
+      email: 'test@example.com',
+      apiToken: 'test-token',
+      outputDir: tempDir,
+      concurrency: 3
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Earlier siblings respond slower so completion order differs from tree order
+    const delays = { a: 30, b: 20, c: 10 };
+    const delay = (id) => new Promise(resolve => setTimeout(resolve, delays[id] || 1));
+    migrator.fetchPage = jest.fn(async (id) => {
+      await delay(id);
+      return { id, title: `Page ${id}`, body: { storage: { value: `<p>${id}</p>` } } };
+    });
+    migrator.fetchChildPages = jest.fn(async (id) => (tree[id] || []).map(childId => ({ id: childId })));
+    migrator.downloadAttachments = jest.fn(async () => []);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('keeps children in Confluence order', async () => {
+    await migrator.processPage('root');
+    expect(migrator.pageMap.get('root').children).toEqual(['a', 'b', 'c']);
+    expect(migrator.pageMap.get('a').children).toEqual(['a1', 'a2']);
+  });
+
+  test('orders pageMap depth-first regardless of completion order', async () => {
+    await migrator.processPage('root');
+    migrator.orderPageMap();
+    expect([...migrator.pageMap.keys()]).toEqual(['root', 'a', 'a1', 'a2', 'b', 'c', 'c1']);
+  });
+});
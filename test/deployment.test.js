@@ -0,0 +1,165 @@
+/**
+ * Unit tests for Cloud / Server / Data Center deployment handling
+ */
+
+const { ConfluenceToVuePress, normalizeContextPath } = require('../src/migrator');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Deployment types', () => {
+  describe('normalizeContextPath', () => {
+    test('defaults to /wiki on Cloud', () => {
+      expect(normalizeContextPath(undefined, 'cloud')).toBe('/wiki');
+    });
+
+    test('defaults to the web root on Server', () => {
+      expect(normalizeContextPath(undefined, 'server')).toBe('');
+    });
+
+    test('adds a leading slash and strips trailing slashes', () => {
+      expect(normalizeContextPath('confluence/', 'datacenter')).toBe('/confluence');
+    });
+
+    test('treats a lone slash as the web root', () => {
+      expect(normalizeContextPath('/', 'server')).toBe('');
+    });
+  });
+
+  describe('API client', () => {
+    test('uses /wiki/rest/api with basic auth on Cloud', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        email: 'test@example.com',
+        apiToken: 'test-token'
+      });
+      expect(migrator.api.defaults.baseURL).toBe('https://test.atlassian.net/wiki/rest/api');
+      expect(migrator.api.defaults.auth).toEqual({ username: 'test@example.com', password: 'test-token' });
+    });
+
+    test('uses the context path and bearer token on Server', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://intranet.example.com/',
+        deploymentType: 'server',
+        contextPath: '/confluence',
+        personalAccessToken: 'pat-123'
+      });
+      expect(migrator.api.defaults.baseURL).toBe('https://intranet.example.com/confluence/rest/api');
+      expect(migrator.api.defaults.auth).toBeUndefined();
+      expect(migrator.api.defaults.headers.Authorization).toBe('Bearer pat-123');
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('accepts a personal access token instead of email and API token', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://intranet.example.com',
+        deploymentType: 'datacenter',
+        personalAccessToken: 'pat-123',
+        rootPageId: '12345'
+      });
+      expect(() => migrator.validateConfig()).not.toThrow();
+    });
+
+    test('rejects unknown deployment types', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://intranet.example.com',
+        deploymentType: 'onprem',
+        personalAccessToken: 'pat-123',
+        rootPageId: '12345'
+      });
+      expect(() => migrator.validateConfig()).toThrow('Invalid deploymentType "onprem"');
+    });
+  });
+
+  describe('downloadAttachments', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `test-deployment-${Date.now()}`);
+      await fs.mkdir(tempDir, { recursive: true });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('builds download URLs from the context path', async () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://intranet.example.com',
+        deploymentType: 'server',
+        contextPath: '/confluence',
+        personalAccessToken: 'pat-123'
+      });
+      migrator.api.get = jest.fn().mockResolvedValue({
+        data: {
+          results: [{ title: 'a.png', _links: { download: '/download/attachments/1/a.png' } }],
+          start: 0, limit: 100, size: 1
+        }
+      });
+      const getSpy = jest.spyOn(migrator.http, 'get').mockResolvedValue({ data: Buffer.from('x') });
+
+      await migrator.downloadAttachments('1', 'page', tempDir);
+
+      expect(getSpy).toHaveBeenCalledWith(
+        'https://intranet.example.com/confluence/download/attachments/1/a.png',
+        expect.objectContaining({ headers: { Authorization: 'Bearer pat-123' } })
+      );
+    });
+  });
+
+  describe('fixConfluenceLinks', () => {
+    let tempDir;
+    let migrator;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `test-links-${Date.now()}`);
+      migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://intranet.example.com',
+        deploymentType: 'server',
+        contextPath: '/confluence',
+        personalAccessToken: 'pat-123',
+        outputDir: tempDir
+      });
+      migrator.pageMap.set('1', { title: 'Source', path: 'source/', slug: 'source', children: [] });
+      migrator.pageMap.set('2', { title: 'Target Page', path: 'source/target-page/', slug: 'target-page', children: [] });
+      await fs.mkdir(path.join(tempDir, 'source', 'target-page'), { recursive: true });
+      await fs.writeFile(path.join(tempDir, 'source', 'target-page', 'README.md'), '# Target');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const fixSource = async (markdown) => {
+      await fs.writeFile(path.join(tempDir, 'source', 'README.md'), markdown);
+      await migrator.fixConfluenceLinks();
+      return fs.readFile(path.join(tempDir, 'source', 'README.md'), 'utf-8');
+    };
+
+    test('rewrites viewpage.action links under the context path', async () => {
+      const result = await fixSource('[t](https://intranet.example.com/confluence/pages/viewpage.action?pageId=2)');
+      expect(result).toBe('[t](../source/target-page/)');
+    });
+
+    test('rewrites title-based /display/ links', async () => {
+      const result = await fixSource('[t](/confluence/display/DOCS/Target+Page)');
+      expect(result).toBe('[t](../source/target-page/)');
+    });
+
+    test('rewrites page links inside tables kept as HTML', async () => {
+      const result = await fixSource('<table><tr><td><a href="CONFLUENCE_LINK:target-page">T</a> <a href="CONFLUENCE_LINK:gone">G</a></td></tr></table>');
+      expect(result).toBe('<table><tr><td><a href="../source/target-page/">T</a> G</td></tr></table>');
+    });
+
+    test('leaves Cloud-style /wiki links alone on Server', async () => {
+      const markdown = '[t](https://intranet.example.com/wiki/spaces/DOCS/pages/2)';
+      const result = await fixSource(markdown);
+      expect(result).toBe(markdown);
+    });
+  });
+});
@@ -6,18 +6,22 @@ const { preprocessConfluenceHtml, ConfluenceToVuePress } = require('../src/migra
 
 describe('Edge Cases', () => {
   describe('P-tag regex not matching PRE tags (bug fix)', () => {
+    const migrator = new ConfluenceToVuePress({
+      confluenceUrl: 'https://test.atlassian.net',
+      rootPageId: '12345',
+      email: 'test@example.com',
+      apiToken: 'test-token'
+    });
+
     test('p-tag stripping does not affect pre tags', () => {
       const html = '<table><tr><td><p>text</p><pre>code</pre></td></tr></table>';
-      const result = preprocessConfluenceHtml(html, 'test-page');
-      expect(result).toContain('<pre>code</pre>');
+      // Tables with block content stay as HTML
+      expect(migrator.convertToMarkdown(html)).toBe('<table><tr><td><p>text</p><pre>code</pre></td></tr></table>');
     });
 
-    test('multiple p tags converted to br without affecting pre', () => {
+    test('paragraphs around pre tags stay separate blocks', () => {
       const html = '<table><tr><td><p>line1</p><pre>code</pre><p>line2</p></td></tr></table>';
-      const result = preprocessConfluenceHtml(html, 'test-page');
-      expect(result).toContain('<pre>code</pre>');
-      expect(result).toContain('line1');
-      expect(result).toContain('line2');
+      expect(migrator.convertToMarkdown(html)).toBe('<table><tr><td><p>line1</p><pre>code</pre><p>line2</p></td></tr></table>');
     });
 
     test('does not match param tags', () => {
@@ -174,11 +178,10 @@ describe('Edge Cases', () => {
   });
 
   describe('Special macro handling', () => {
-    test('removes TOC macro', () => {
+    test('converts TOC macro to a [[toc]] marker', () => {
       const html = '<ac:structured-macro ac:name="toc" /><p>Content after TOC</p>';
       const result = preprocessConfluenceHtml(html, 'test-page');
-      expect(result).not.toContain('toc');
-      expect(result).toContain('Content after TOC');
+      expect(result).toBe('<pre data-macro-markdown="block">[[toc]]</pre><p>Content after TOC</p>');
     });
 
     test('preserves images inside unknown macros', () => {
@@ -193,14 +196,14 @@ describe('Edge Cases', () => {
     test('handles panel with nested HTML', () => {
       const html = '<ac:structured-macro ac:name="info"><ac:rich-text-body><p><strong>Important:</strong> This is <em>info</em></p></ac:rich-text-body></ac:structured-macro>';
       const result = preprocessConfluenceHtml(html, 'test-page');
-      expect(result).toContain('<blockquote>**INFO:**');
+      expect(result).toContain('<div data-container="info">');
       expect(result).toContain('<strong>Important:</strong>');
     });
 
     test('handles Atlassian Editor panel with warning type', () => {
       const html = '<div class="ak-editor-panel" data-panel-type="warning"><div class="ak-editor-panel__content">Warning message</div></div>';
       const result = preprocessConfluenceHtml(html, 'test-page');
-      expect(result).toBe('<blockquote>**WARNING:** Warning message</blockquote>');
+      expect(result).toBe('<div data-container="warning">Warning message</div>');
     });
   });
 
@@ -266,8 +269,8 @@ describe('Multiple features interaction', () => {
     `;
     const result = migrator.convertToMarkdown(html);
 
-    // Info panel converted to blockquote (asterisks may be escaped in markdown)
-    expect(result).toMatch(/INFO:/);
+    // Info panel converted to a custom container
+    expect(result).toContain('::: info\nThis is an info panel\n:::');
 
     // Code block preserved
     expect(result).toContain('```javascript');
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for continue-on-error mode and the failure report
+ */
+
+const { REPORT_FILE } = require('../src/migrator');
+const { createFakeMigrator } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Continue on error', () => {
+  let tempDir;
+
+  // Root with a restricted child (403), a healthy child with a broken attachment and a broken external image
+  const pages = {
+    '1': { title: 'Root', children: ['2', '3'], body: '<p>Root</p>' },
+    '2': { title: 'Restricted', children: [], body: '<p>Secret</p>' },
+    '3': { title: 'Guide', children: [], body: '<p>Guide</p><img src="https://images.example.com/broken.png" />' }
+  };
+
+  const httpError = (status, message) => Object.assign(new Error(message), { response: { status } });
+
+  const createMigrator = (options = {}) => createFakeMigrator({
+    outputDir: tempDir,
+    site: { pages, attachments: { '3': [{ id: 'att1', title: 'spec.pdf' }] } },
+    continueOnError: true,
+    routes: (url) => {
+      if (url === '/content/2') throw httpError(403, 'Request failed with status code 403');
+    },
+    download: async (url) => {
+      throw url.includes('spec.pdf')
+        ? httpError(404, 'Request failed with status code 404')
+        : new Error('getaddrinfo ENOTFOUND images.example.com');
+    },
+    ...options
+  });
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `test-errors-${Date.now()}`);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('aborts on a failing page by default', async () => {
+    const migrator = createMigrator({ continueOnError: false });
+    await expect(migrator.processPage('2', 'root', 1, { id: '2', title: 'Restricted' })).rejects.toThrow('403');
+  });
+
+  test('keeps migrating the rest of the tree', async () => {
+    const migrator = createMigrator();
+    const result = await migrator.migrate();
+
+    expect([...migrator.pageMap.values()].map(page => page.title)).toEqual(['Root', 'Guide']);
+    expect(migrator.generateVuePressConfig()).not.toContain('Restricted');
+    expect(result.pagesProcessed).toBe(2);
+  });
+
+  test('records each failed page, attachment and external image with its cause', async () => {
+    const result = await createMigrator().migrate();
+
+    expect(result.failures).toEqual(expect.arrayContaining([
+      { type: 'page', pageId: '2', item: 'Restricted', status: 403, message: 'Request failed with status code 403' },
+      { type: 'attachment', pageId: '3', item: 'spec.pdf', status: 404, message: 'Request failed with status code 404' },
+      { type: 'image', pageId: '3', item: 'https://images.example.com/broken.png', status: null, message: 'getaddrinfo ENOTFOUND images.example.com' }
+    ]));
+    expect(result.failures).toHaveLength(3);
+  });
+
+  test('writes a machine-readable migration report', async () => {
+    const result = await createMigrator().migrate();
+
+    expect(result.reportPath).toBe(path.join(tempDir, REPORT_FILE));
+    const report = JSON.parse(await fs.readFile(result.reportPath, 'utf-8'));
+    expect(report.success).toBe(false);
+    expect(report.summary).toMatchObject({ pagesProcessed: 2, failures: { page: 1, attachment: 1, image: 1 } });
+    expect(report.failures).toHaveLength(3);
+  });
+
+  test('never prunes the previous output of a failed page', async () => {
+    const first = createMigrator({ continueOnError: false });
+    const fetchPage = first.fetchPage.bind(first);
+    first.fetchPage = jest.fn(async (pageId) => (pageId === '2'
+      ? { id: '2', title: 'Restricted', version: { number: 1 }, body: { storage: { value: '<p>Secret</p>' } } }
+      : fetchPage(pageId)));
+    first.config.downloadExternalImages = false;
+    first.http.get = jest.fn(async () => ({ data: Buffer.from('pdf') }));
+    await first.migrate();
+
+    const result = await createMigrator({ prune: 'delete' }).migrate();
+    expect(result.pruned).toEqual([]);
+    expect(await fs.readFile(path.join(tempDir, 'root/restricted/README.md'), 'utf-8')).toContain('Secret');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Unit tests for importing Confluence space export archives
+ */
+
+const AdmZip = require('adm-zip');
+const { ConfluenceExport, parseEntitiesXml, pageIdFromHref } = require('../src/export-reader');
+const { ConfluenceToVuePress, preprocessConfluenceHtml } = require('../src/migrator');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const PKG = 'package="com.atlassian.confluence.pages"';
+
+const pageObject = (id, title, { parent, position, version = 1, status = 'current', original } = {}) => `
+<object class="Page" ${PKG}>
+  <id name="id">${id}</id>
+  <property name="title"><![CDATA[${title}]]></property>
+  ${parent ? `<property name="parent" class="Page" ${PKG}><id name="id">${parent}</id></property>` : ''}
+  ${position !== undefined ? `<property name="position">${position}</property>` : ''}
+  <property name="version">${version}</property>
+  <property name="contentStatus"><![CDATA[${status}]]></property>
+  ${original ? `<property name="originalVersion" class="Page" ${PKG}><id name="id">${original}</id></property>` : ''}
+</object>`;
+
+const bodyObject = (id, pageId, body) => `
+<object class="BodyContent" package="com.atlassian.confluence.core">
+  <id name="id">${id}</id>
+  <property name="body"><![CDATA[${body}]]></property>
+  <property name="content" class="Page" ${PKG}><id name="id">${pageId}</id></property>
+  <property name="bodyType">2</property>
+</object>`;
+
+const ENTITIES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<hibernate-generic datetime="2024-01-01 00:00:00">
+<object class="Space" package="com.atlassian.confluence.spaces">
+  <id name="id">1</id>
+  <property name="key"><![CDATA[DOCS]]></property>
+  <property name="homePage" class="Page" ${PKG}><id name="id">20</id></property>
+</object>
+${pageObject('10', 'Orphan', { position: 0 })}
+${pageObject('20', 'Home')}
+${pageObject('30', 'Second', { parent: '20', position: 1 })}
+${pageObject('31', 'First', { parent: '20', position: 0 })}
+${pageObject('32', 'Old First', { parent: '20', original: '31' })}
+${pageObject('33', 'Draft', { parent: '20', status: 'draft' })}
+${bodyObject('100', '20', '<p>Welcome</p><ac:image><ri:attachment ri:filename="logo.png" /></ac:image><p>An </object> inside CDATA</p>')}
+${bodyObject('101', '31', '<p>First body</p>')}
+<object class="Attachment" ${PKG}>
+  <id name="id">500</id>
+  <property name="title"><![CDATA[logo.png]]></property>
+  <property name="version">2</property>
+  <property name="containerContent" class="Page" ${PKG}><id name="id">20</id></property>
+</object>
+<object class="Label" package="com.atlassian.confluence.labels">
+  <id name="id">700</id>
+  <property name="name"><![CDATA[howto]]></property>
+  <property name="namespace"><![CDATA[global]]></property>
+</object>
+<object class="Labelling" package="com.atlassian.confluence.labels">
+  <id name="id">701</id>
+  <property name="label" class="Label" package="com.atlassian.confluence.labels"><id name="id">700</id></property>
+  <property name="content" class="Page" ${PKG}><id name="id">31</id></property>
+</object>
+</hibernate-generic>`;
+
+const INDEX_HTML = `<html><body>
+<div id="main-content"><p>Space overview</p></div>
+<div class="pageSection">
+  <h2>Available Pages:</h2>
+  <ul>
+    <li><a href="Home_200.html">Home</a>
+      <ul>
+        <li><a href="Child-Page_201.html">Child Page</a></li>
+      </ul>
+    </li>
+  </ul>
+</div>
+</body></html>`;
+
+const HOME_HTML = `<html><head><title>DOCS : Home</title></head><body>
+<div id="main-content" class="wiki-content group">
+<p>See <a href="Child-Page_201.html">the child</a> and <a href="https://example.com">elsewhere</a>.</p>
+<p><img class="confluence-embedded-image" src="attachments/200/900.png" data-linked-resource-default-alias="diagram one.png"></p>
+<p><a href="attachments/200/901.pdf">spec.pdf</a></p>
+</div>
+<div class="pageSection group"><h2 id="attachments">Attachments:</h2>
+<a href="attachments/200/900.png">diagram one.png</a>
+<a href="attachments/200/901.pdf">spec.pdf</a>
+</div>
+</body></html>`;
+
+const CHILD_HTML = '<html><body><div id="main-content"><p>Child body</p></div></body></html>';
+
+describe('Export import', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `test-export-${Date.now()}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const writeZip = async (files) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) {
+      zip.addFile(name, Buffer.from(content));
+    }
+    const zipPath = path.join(tempDir, 'export.zip');
+    await fs.writeFile(zipPath, zip.toBuffer());
+    return zipPath;
+  };
+
+  describe('parseEntitiesXml', () => {
+    test('reads ids, text properties and object references', () => {
+      const objects = parseEntitiesXml(ENTITIES_XML);
+      const page = objects.find(o => o.class === 'Page' && o.id === '30');
+      expect(page.props.title).toBe('Second');
+      expect(page.props.parent).toBe('20');
+    });
+
+    test('keeps markup inside CDATA intact', () => {
+      const objects = parseEntitiesXml(ENTITIES_XML);
+      const body = objects.find(o => o.class === 'BodyContent' && o.id === '100');
+      expect(body.props.body).toContain('An </object> inside CDATA');
+    });
+  });
+
+  describe('pageIdFromHref', () => {
+    test('extracts the numeric suffix', () => {
+      expect(pageIdFromHref('My-Page_12345.html')).toBe('12345');
+    });
+
+    test('handles bare numeric filenames', () => {
+      expect(pageIdFromHref('12345.html#anchor')).toBe('12345');
+    });
+  });
+
+  describe('XML export', () => {
+    let exportSource;
+
+    beforeEach(async () => {
+      const zipPath = await writeZip({
+        'entities.xml': ENTITIES_XML,
+        'attachments/20/500/2': 'png-bytes'
+      });
+      exportSource = await ConfluenceExport.open(zipPath);
+    });
+
+    test('detects the XML format', () => {
+      expect(exportSource.format).toBe('xml');
+    });
+
+    test('lists the homepage first, then orphaned top-level pages', () => {
+      expect(exportSource.getRootPageIds()).toEqual(['20', '10']);
+    });
+
+    test('orders children by position and skips history and drafts', () => {
+      expect(exportSource.getChildPages('20').map(p => p.id)).toEqual(['31', '30']);
+    });
+
+    test('returns storage bodies, versions and labels in REST shape', () => {
+      const page = exportSource.getPage('31');
+      expect(page.body.storage.value).toBe('<p>First body</p>');
+      expect(page.version.number).toBe(1);
+      expect(page.metadata.labels.results).toEqual([{ prefix: 'global', name: 'howto' }]);
+    });
+
+    test('reads attachments from their versioned entry', () => {
+      const [attachment] = exportSource.getAttachments('20');
+      expect(attachment.title).toBe('logo.png');
+      expect(exportSource.readAttachment(attachment).toString()).toBe('png-bytes');
+    });
+
+    test('throws for unknown pages', () => {
+      expect(() => exportSource.getPage('999')).toThrow('Page 999 not found in export');
+    });
+  });
+
+  describe('HTML export', () => {
+    let exportSource;
+
+    beforeEach(async () => {
+      const zipPath = await writeZip({
+        'DOCS/index.html': INDEX_HTML,
+        'DOCS/Home_200.html': HOME_HTML,
+        'DOCS/Child-Page_201.html': CHILD_HTML,
+        'DOCS/attachments/200/900.png': 'png-bytes',
+        'DOCS/attachments/200/901.pdf': 'pdf-bytes'
+      });
+      exportSource = await ConfluenceExport.open(zipPath);
+    });
+
+    test('rebuilds the hierarchy from the index', () => {
+      expect(exportSource.format).toBe('html');
+      expect(exportSource.getRootPageIds()).toEqual(['200']);
+      expect(exportSource.getChildPages('200').map(p => p.title)).toEqual(['Child Page']);
+    });
+
+    test('names attachments after their original filenames', () => {
+      const titles = exportSource.getAttachments('200').map(att => att.title).sort();
+      expect(titles).toEqual(['diagram one.png', 'spec.pdf']);
+    });
+
+    test('rewrites images and links back to storage format', () => {
+      const body = exportSource.getPage('200').body.storage.value;
+      expect(body).toContain('<ac:image><ri:attachment ri:filename="diagram one.png" /></ac:image>');
+      expect(body).toContain('<ri:page ri:content-title="Child Page" /><ac:link-body>the child</ac:link-body>');
+      expect(body).toContain('<ri:attachment ri:filename="spec.pdf" /><ac:link-body>spec.pdf</ac:link-body>');
+      expect(body).toContain('<a href="https://example.com">elsewhere</a>');
+    });
+
+    test('escapes titles put back into attributes', async () => {
+      const zipPath = await writeZip({
+        'DOCS/index.html': INDEX_HTML.replace('>Child Page<', '>Q&amp;A &lt;"Draft"&gt;<'),
+        'DOCS/Home_200.html': HOME_HTML,
+        'DOCS/Child-Page_201.html': CHILD_HTML
+      });
+      const body = (await ConfluenceExport.open(zipPath)).getPage('200').body.storage.value;
+      expect(body).toContain('<ri:page ri:content-title="Q&amp;A &lt;&quot;Draft&quot;&gt;" />');
+    });
+  });
+
+  test('rejects archives that are not Confluence exports', async () => {
+    const zipPath = await writeZip({ 'readme.txt': 'hello' });
+    await expect(ConfluenceExport.open(zipPath)).rejects.toThrow('Not a Confluence export');
+  });
+
+  describe('attachment links', () => {
+    test('converts ac:link to an attachment into a local link', () => {
+      const html = '<ac:link><ri:attachment ri:filename="my spec.pdf" /><ac:plain-text-link-body><![CDATA[Spec]]></ac:plain-text-link-body></ac:link>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<a href="./attachments/my-page/my_spec.pdf">Spec</a>');
+    });
+  });
+
+  describe('migrate --from-export', () => {
+    test('migrates an XML export without connection settings', async () => {
+      const zipPath = await writeZip({
+        'entities.xml': ENTITIES_XML,
+        'attachments/20/500/2': 'png-bytes'
+      });
+      const outputDir = path.join(tempDir, 'docs');
+      const migrator = new ConfluenceToVuePress({ fromExport: zipPath, outputDir });
+
+      const result = await migrator.migrate();
+
+      expect(result.pagesProcessed).toBe(4);
+      const home = await fs.readFile(path.join(outputDir, 'home', 'README.md'), 'utf-8');
+      expect(home).toContain('Welcome');
+      expect(home).toContain('./attachments/home/logo.png');
+      const logo = await fs.readFile(path.join(outputDir, 'home', 'attachments', 'home', 'logo.png'), 'utf-8');
+      expect(logo).toBe('png-bytes');
+      const config = await fs.readFile(path.join(outputDir, '.vuepress', 'config.js'), 'utf-8');
+      expect(config).toContain('link: "/orphan/"');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for label, title and depth filtering
+ */
+
+const { createFakeMigrator } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Subtree filtering', () => {
+  let tempDir;
+
+  // Root [public]
+  // ├── Guide [public]
+  // │   └── Deep Dive
+  // ├── Internal Notes [internal]
+  // │   └── Secrets
+  // └── Draft: Roadmap
+  const pages = {
+    '1': { title: 'Root', labels: ['public'], children: ['2', '3', '5'], body: '<p>See <a href="https://test.atlassian.net/wiki/spaces/DOCS/pages/3/Internal+Notes">the notes</a> and <a href="https://test.atlassian.net/wiki/spaces/DOCS/pages/2/Guide">the guide</a>.</p>' },
+    '2': { title: 'Guide', labels: ['public'], children: ['4'], body: '<p>Guide</p>' },
+    '3': { title: 'Internal Notes', labels: ['Internal'], children: ['6'], body: '<p>Notes</p>' },
+    '4': { title: 'Deep Dive', labels: [], children: [], body: '<p>Deep</p>' },
+    '5': { title: 'Draft: Roadmap', labels: [], children: [], body: '<p>Roadmap</p>' },
+    '6': { title: 'Secrets', labels: [], children: [], body: '<p>Secrets</p>' }
+  };
+
+  const createMigrator = (options = {}) => createFakeMigrator({ outputDir: tempDir, site: { pages }, ...options });
+
+  const migratedTitles = (migrator) => [...migrator.pageMap.values()].map(page => page.title);
+  const requested = (migrator) => migrator.api.get.mock.calls.map(([url]) => url);
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `test-filtering-${Date.now()}`);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('skips subtrees carrying an excluded label (case-insensitive)', async () => {
+    const migrator = createMigrator({ excludeLabels: ['internal', 'archive'] });
+    const result = await migrator.migrate();
+
+    expect(migratedTitles(migrator)).toEqual(['Root', 'Guide', 'Deep Dive', 'Draft: Roadmap']);
+    expect(result.skipped).toEqual([{ id: '3', title: 'Internal Notes', reason: 'label "internal"' }]);
+    expect(requested(migrator)).not.toContain('/content/3/child/page');
+  });
+
+  test('only migrates root pages carrying an included label, with their whole subtree', async () => {
+    const migrator = createMigrator({ includeLabels: 'public' });
+    migrator.resolveRootPageIds = async () => ['2', '3'];
+    const result = await migrator.migrate();
+
+    expect(migratedTitles(migrator)).toEqual(['Guide', 'Deep Dive']);
+    expect(result.skipped).toEqual([{ id: '3', title: 'Internal Notes', reason: 'no included label' }]);
+  });
+
+  test('fails when no root page passes the filters', async () => {
+    const migrator = createMigrator({ includeTitles: ['Guide'] });
+
+    await expect(migrator.migrate()).rejects.toThrow('No root pages pass the filters: Root (title not included)');
+  });
+
+  test('skips titles matching glob and regex patterns', async () => {
+    const migrator = createMigrator({ excludeTitles: ['draft:*', '/^Deep/'] });
+    const result = await migrator.migrate();
+
+    expect(migratedTitles(migrator)).toEqual(['Root', 'Guide', 'Internal Notes', 'Secrets']);
+    expect(result.skipped.map(page => page.reason)).toEqual(expect.arrayContaining([
+      'title matches "draft:*"',
+      'title matches "/^Deep/"'
+    ]));
+  });
+
+  test('stops at the maximum depth', async () => {
+    const migrator = createMigrator({ maxDepth: 1 });
+    const result = await migrator.migrate();
+
+    expect(migratedTitles(migrator)).toEqual(['Root', 'Guide', 'Internal Notes', 'Draft: Roadmap']);
+    expect(result.skipped.map(page => page.title).sort()).toEqual(['Deep Dive', 'Secrets']);
+    expect(result.skipped[0].reason).toBe('deeper than maxDepth 1');
+  });
+
+  test('leaves skipped pages out of the sidebar', async () => {
+    const migrator = createMigrator({ excludeLabels: ['internal'] });
+    await migrator.migrate();
+
+    expect(migrator.generateVuePressConfig()).not.toContain('Internal Notes');
+  });
+
+  test('degrades links to skipped pages to plain text', async () => {
+    await createMigrator({ excludeLabels: ['internal'] }).migrate();
+
+    const content = await fs.readFile(path.join(tempDir, 'root', 'README.md'), 'utf-8');
+    expect(content).toContain('See the notes and [the guide](../root/guide/).');
+  });
+
+  test('rejects invalid filter settings', () => {
+    expect(() => createMigrator({ maxDepth: 'deep' }).validateConfig()).toThrow('Invalid maxDepth');
+    expect(() => createMigrator({ excludeTitles: ['/[/'] }).validateConfig()).toThrow('Invalid title pattern "/[/"');
+  });
+});
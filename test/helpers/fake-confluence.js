@@ -0,0 +1,70 @@
+/**
+ * In-memory Confluence REST API shared by the migration tests
+ */
+
+const { ConfluenceToVuePress } = require('../../src/migrator');
+
+// A single page of results holding everything, as the paginated endpoints return it
+const listResponse = (results) => ({ data: { results, start: 0, limit: 100, size: results.length } });
+
+const labelMetadata = (labels = []) => ({ labels: { results: labels.map(name => ({ prefix: 'global', name })) } });
+
+// Child listings carry the version and labels, as fetchChildPages expands them
+const pageListing = (id, page) => ({ id, title: page.title, version: { number: page.version ?? 1 }, metadata: labelMetadata(page.labels) });
+
+/**
+ * Create a migrator writing to outputDir whose API serves the given site
+ * site.pages maps page ids to { title, body, version = 1, children = [], labels = [] };
+ * site.attachments and site.comments map page ids to their attachments ({ id, title, version })
+ * and comments (REST shape). The site is read on every request, so tests can change it
+ * between runs. routes(url, config) answers (or throws for) suite-specific requests first;
+ * download replaces the attachment and image download client.
+ */
+function createFakeMigrator({ outputDir, site = { pages: {} }, routes = () => undefined, download, ...options }) {
+  const migrator = new ConfluenceToVuePress({
+    confluenceUrl: 'https://test.atlassian.net',
+    rootPageId: '1',
+    email: 'test@example.com',
+    apiToken: 'test-token',
+    outputDir,
+    ...options
+  });
+
+  migrator.api.get = jest.fn(async (url, config = {}) => {
+    const routed = await routes(url, config);
+    if (routed !== undefined) return routed;
+
+    let match = url.match(/^\/content\/(\w+)$/);
+    if (match && site.pages[match[1]]) {
+      const page = site.pages[match[1]];
+      return {
+        data: {
+          ...pageListing(match[1], page),
+          body: { storage: { value: page.body } }
+        }
+      };
+    }
+    match = url.match(/^\/content\/(\w+)\/child\/page$/);
+    if (match && site.pages[match[1]]) {
+      return listResponse((site.pages[match[1]].children || []).map(id => pageListing(id, site.pages[id])));
+    }
+    match = url.match(/^\/content\/(\w+)\/child\/attachment$/);
+    if (match) {
+      return listResponse((site.attachments?.[match[1]] || []).map(att => ({
+        id: att.id, title: att.title, version: { number: att.version ?? 1 }, _links: { download: `/download/${encodeURIComponent(att.title)}` }
+      })));
+    }
+    match = url.match(/^\/content\/(\w+)\/child\/comment$/);
+    if (match) {
+      return listResponse(site.comments?.[match[1]] || []);
+    }
+    throw new Error(`Unexpected request: ${url}`);
+  });
+  migrator.http.get = jest.fn(download || (async () => ({ data: Buffer.from('image') })));
+  return migrator;
+}
+
+module.exports = {
+  createFakeMigrator,
+  listResponse
+};
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the record/replay HTTP cache
+ */
+
+const axios = require('axios');
+const { cacheKey, createCacheAdapter } = require('../src/http-cache');
+const { ConfluenceToVuePress } = require('../src/migrator');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('HTTP cache', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = path.join(os.tmpdir(), `test-http-cache-${Date.now()}`);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const networkResponse = (config, data, status = 200) => ({
+    data,
+    status,
+    statusText: 'OK',
+    headers: { 'content-type': 'application/json', 'set-cookie': 'secret' },
+    config,
+    request: {}
+  });
+
+  describe('cacheKey', () => {
+    test('includes method, base URL, path and params', () => {
+      const key = cacheKey({ method: 'get', baseURL: 'https://x.net/wiki/rest/api', url: '/content/1', params: { expand: 'version' } });
+      expect(key).toBe('GET https://x.net/wiki/rest/api/content/1?expand=version');
+    });
+
+    test('does not depend on parameter order', () => {
+      const a = cacheKey({ method: 'get', url: 'https://x.net/a', params: { start: 0, limit: 100 } });
+      const b = cacheKey({ method: 'get', url: 'https://x.net/a', params: { limit: 100, start: 0 } });
+      expect(a).toBe(b);
+    });
+  });
+
+  describe('record and replay', () => {
+    test('replays recorded JSON responses without the network', async () => {
+      const network = jest.fn(config => Promise.resolve(networkResponse(config, '{"title":"Recorded"}')));
+      const recorder = axios.create({ baseURL: 'https://x.net/wiki/rest/api', adapter: createCacheAdapter({ dir: cacheDir, mode: 'record', adapter: network }) });
+      const recorded = await recorder.get('/content/1', { params: { expand: 'version' } });
+      expect(recorded.data.title).toBe('Recorded');
+
+      const offline = jest.fn();
+      const player = axios.create({ baseURL: 'https://x.net/wiki/rest/api', adapter: createCacheAdapter({ dir: cacheDir, mode: 'replay', adapter: offline }) });
+      const replayed = await player.get('/content/1', { params: { expand: 'version' } });
+
+      expect(replayed.data).toEqual({ title: 'Recorded' });
+      expect(offline).not.toHaveBeenCalled();
+    });
+
+    test('round-trips binary downloads', async () => {
+      const bytes = Buffer.from([0, 1, 2, 255]);
+      const network = jest.fn(config => Promise.resolve(networkResponse(config, bytes)));
+      const recorder = axios.create({ adapter: createCacheAdapter({ dir: cacheDir, mode: 'record', adapter: network }) });
+      await recorder.get('https://x.net/download/a.png', { responseType: 'arraybuffer' });
+
+      const player = axios.create({ adapter: createCacheAdapter({ dir: cacheDir, mode: 'replay' }) });
+      const replayed = await player.get('https://x.net/download/a.png', { responseType: 'arraybuffer' });
+      expect(Buffer.from(replayed.data)).toEqual(bytes);
+    });
+
+    test('does not store cookies', async () => {
+      const network = jest.fn(config => Promise.resolve(networkResponse(config, '{}')));
+      const recorder = axios.create({ adapter: createCacheAdapter({ dir: cacheDir, mode: 'record', adapter: network }) });
+      await recorder.get('https://x.net/a');
+
+      const [file] = await fs.readdir(cacheDir);
+      const recording = JSON.parse(await fs.readFile(path.join(cacheDir, file), 'utf-8'));
+      expect(recording.headers['set-cookie']).toBeUndefined();
+      expect(recording.key).toBe('GET https://x.net/a');
+    });
+
+    test('records and replays error statuses', async () => {
+      const network = jest.fn(config => {
+        const error = new axios.AxiosError('Request failed with status code 404', 'ERR_BAD_REQUEST', config, {}, networkResponse(config, '{}', 404));
+        return Promise.reject(error);
+      });
+      const recorder = axios.create({ adapter: createCacheAdapter({ dir: cacheDir, mode: 'record', adapter: network }) });
+      await expect(recorder.get('https://x.net/missing')).rejects.toThrow('404');
+
+      const player = axios.create({ adapter: createCacheAdapter({ dir: cacheDir, mode: 'replay' }) });
+      await expect(player.get('https://x.net/missing')).rejects.toMatchObject({ response: { status: 404 } });
+    });
+
+    test('fails on a replay miss', async () => {
+      const player = axios.create({ adapter: createCacheAdapter({ dir: cacheDir, mode: 'replay' }) });
+      await expect(player.get('https://x.net/never')).rejects.toMatchObject({ code: 'ERR_CACHE_MISS' });
+    });
+
+    test('rejects unknown modes', () => {
+      expect(() => createCacheAdapter({ dir: cacheDir, mode: 'auto' })).toThrow('Invalid cache mode "auto"');
+    });
+  });
+
+  describe('migrator integration', () => {
+    test('replays API calls with no credentials configured', async () => {
+      const recorder = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        email: 'test@example.com',
+        apiToken: 'test-token',
+        cacheDir,
+        cacheMode: 'record'
+      });
+      const network = jest.fn(config => Promise.resolve(networkResponse(config, '{"id":"1","title":"Root"}')));
+      recorder.api.defaults.adapter = createCacheAdapter({ dir: cacheDir, mode: 'record', adapter: network });
+      await recorder.fetchPage('1');
+
+      const player = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '1',
+        cacheDir,
+        cacheMode: 'replay'
+      });
+      expect(() => player.validateConfig()).not.toThrow();
+      const page = await player.fetchPage('1');
+      expect(page.title).toBe('Root');
+    });
+
+    test('requires a cache directory for a cache mode', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '1',
+        cacheMode: 'replay'
+      });
+      expect(() => migrator.validateConfig()).toThrow('cacheDir');
+    });
+
+    test('requires a cache mode for a cache directory', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '1',
+        personalAccessToken: 'pat',
+        cacheDir
+      });
+      expect(() => migrator.validateConfig()).toThrow('cacheMode (for cacheDir)');
+    });
+
+    test('rejects recording and replaying at once', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '1',
+        record: cacheDir,
+        replay: cacheDir
+      });
+      expect(() => migrator.validateConfig()).toThrow('record and replay cannot be used together');
+    });
+
+    test('sets the cache directory and mode from replay', () => {
+      const migrator = new ConfluenceToVuePress({ confluenceUrl: 'https://test.atlassian.net', rootPageId: '1', replay: cacheDir });
+      expect(migrator.config).toMatchObject({ cacheDir, cacheMode: 'replay' });
+      expect(() => migrator.validateConfig()).not.toThrow();
+    });
+  });
+});
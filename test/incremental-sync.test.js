@@ -0,0 +1,176 @@
+/**
+ * Unit tests for manifest-based incremental sync
+ */
+
+const { MANIFEST_FILE } = require('../src/migrator');
+const { createFakeMigrator } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Incremental sync', () => {
+  let tempDir;
+  let site;
+
+  // Minimal in-memory Confluence: a root page with one child and one attachment
+  const createSite = () => ({
+    pages: {
+      '1': { id: '1', title: 'Root', version: 1, body: '<p>Root v1</p>', children: ['2'] },
+      '2': { id: '2', title: 'Child', version: 1, body: '<p>Child v1</p>', children: [] }
+    },
+    attachments: {
+      '1': [{ id: 'att1', title: 'diagram.png', version: 1 }]
+    }
+  });
+
+  const createMigrator = (options = {}) => createFakeMigrator({ outputDir: tempDir, site, ...options });
+
+  const contentRequests = (migrator) => migrator.api.get.mock.calls
+    .map(([url]) => url)
+    .filter(url => /^\/content\/\w+$/.test(url));
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `test-incremental-${Date.now()}`);
+    site = createSite();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes a manifest with page and attachment versions', async () => {
+    await createMigrator().migrate();
+
+    const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), 'utf-8'));
+    expect(manifest.pages['1']).toMatchObject({
+      title: 'Root',
+      version: 1,
+      path: 'root/',
+      attachments: { att1: { version: 1, path: './attachments/root/diagram.png' } }
+    });
+    expect(manifest.pages['2']).toMatchObject({ version: 1, path: 'root/child/' });
+  });
+
+  test('skips fetching and converting unchanged pages', async () => {
+    await createMigrator().migrate();
+
+    const second = createMigrator();
+    const result = await second.migrate();
+
+    // The root is fetched to learn its version; the child is known from the listing
+    expect(contentRequests(second)).toEqual(['/content/1']);
+    expect(second.http.get).not.toHaveBeenCalled();
+    expect(result.pagesUnchanged).toBe(2);
+    expect(result.pagesUpdated).toBe(0);
+  });
+
+  test('still rebuilds the sidebar for the full tree', async () => {
+    await createMigrator().migrate();
+    await createMigrator().migrate();
+
+    const config = await fs.readFile(path.join(tempDir, '.vuepress', 'config.js'), 'utf-8');
+    expect(config).toContain('link: "/root/"');
+    expect(config).toContain('link: "/root/child/"');
+  });
+
+  test('reconverts pages whose version changed', async () => {
+    await createMigrator().migrate();
+
+    site.pages['2'].version = 2;
+    site.pages['2'].body = '<p>Child v2</p>';
+    const second = createMigrator();
+    const result = await second.migrate();
+
+    expect(contentRequests(second)).toEqual(['/content/1', '/content/2']);
+    expect(result.pagesUpdated).toBe(1);
+    const child = await fs.readFile(path.join(tempDir, 'root', 'child', 'README.md'), 'utf-8');
+    expect(child).toContain('Child v2');
+  });
+
+  test('re-downloads only attachments whose version changed', async () => {
+    await createMigrator().migrate();
+
+    site.pages['1'].version = 2;
+    const second = createMigrator();
+    await second.migrate();
+    expect(second.http.get).not.toHaveBeenCalled();
+
+    site.pages['1'].version = 3;
+    site.attachments['1'][0].version = 2;
+    const third = createMigrator();
+    await third.migrate();
+    expect(third.http.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('reconverts unchanged pages that gained an attachment', async () => {
+    await createMigrator().migrate();
+
+    site.attachments['2'] = [{ id: 'att2', title: 'notes.txt', version: 1 }];
+    const second = createMigrator();
+    const result = await second.migrate();
+
+    expect(contentRequests(second)).toEqual(['/content/1', '/content/2']);
+    expect(second.http.get).toHaveBeenCalledTimes(1);
+    expect(result.pagesUpdated).toBe(1);
+    await expect(fs.access(path.join(tempDir, 'root', 'child', 'attachments', 'child', 'notes.txt'))).resolves.toBeUndefined();
+  });
+
+  test('rewrites unchanged pages whose link targets appeared or moved', async () => {
+    const link = '<p><ac:link><ri:page ri:content-title="Target" /></ac:link></p>';
+    site.pages['1'].body = link;
+    await createMigrator().migrate();
+    const readRoot = () => fs.readFile(path.join(tempDir, 'root', 'README.md'), 'utf-8');
+    expect(await readRoot()).not.toContain('](');
+
+    // The target is migrated for the first time
+    site.pages['3'] = { id: '3', title: 'Target', version: 1, body: '<p>Target</p>', children: [] };
+    site.pages['1'].children.push('3');
+    const second = createMigrator();
+    const result = await second.migrate();
+    expect(result.pagesUpdated).toBe(2);
+    expect(await readRoot()).toContain('[Target](../root/target/)');
+
+    // The target moves below the child
+    site.pages['1'].children = ['2'];
+    site.pages['2'].children = ['3'];
+    await createMigrator().migrate();
+    expect(await readRoot()).toContain('[Target](../root/child/target/)');
+
+    // Nothing moved: the root stays untouched
+    const fourth = createMigrator();
+    await fourth.migrate();
+    expect(contentRequests(fourth)).toEqual(['/content/1']);
+  });
+
+  test('reconverts pages whose README.md was removed', async () => {
+    await createMigrator().migrate();
+    await fs.rm(path.join(tempDir, 'root', 'child', 'README.md'));
+
+    const result = await createMigrator().migrate();
+    expect(result.pagesUpdated).toBe(1);
+  });
+
+  test('keeps unpruned orphans in the manifest for a later --prune', async () => {
+    await createMigrator().migrate();
+    site.pages['1'].children = [];
+
+    await createMigrator().migrate();
+    const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), 'utf-8'));
+    expect(manifest.orphans).toEqual([{ type: 'page', path: 'root/child/', files: ['root/child/README.md'] }]);
+
+    const result = await createMigrator({ prune: true }).migrate();
+    expect(result.pruned).toEqual(['root/child/']);
+    await expect(fs.access(path.join(tempDir, 'root', 'child'))).rejects.toThrow();
+  });
+
+  test('force reconverts everything', async () => {
+    await createMigrator().migrate();
+
+    const second = createMigrator({ force: true });
+    const result = await second.migrate();
+    expect(result.pagesUpdated).toBe(2);
+    expect(second.http.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for Jira issue and Jira filter macros
+ */
+
+const { ConfluenceToVuePress } = require('../src/migrator');
+const { loadJiraSnapshot } = require('../src/jira');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Jira macros', () => {
+  let tempDir;
+  let snapshotFile;
+
+  const createMigrator = (options = {}) => new ConfluenceToVuePress({
+    confluenceUrl: 'https://test.atlassian.net',
+    rootPageId: '12345',
+    email: 'test@example.com',
+    apiToken: 'test-token',
+    jiraUrl: 'https://jira.example.com/',
+    ...options
+  });
+
+  const jiraMacro = (params) => '<ac:structured-macro ac:name="jira">' +
+    Object.entries(params).map(([name, value]) => `<ac:parameter ac:name="${name}">${value}</ac:parameter>`).join('') +
+    '</ac:structured-macro>';
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jira-test-'));
+    snapshotFile = path.join(tempDir, 'jira.json');
+    await fs.writeFile(snapshotFile, JSON.stringify({
+      issues: [
+        { key: 'DOC-1', summary: 'Write the guide', status: 'Done', assignee: 'Ada' },
+        { key: 'DOC-2', fields: { summary: 'Fix a | pipe', status: { name: 'In Progress' }, issuetype: { name: 'Bug' } } }
+      ],
+      queries: {
+        'project = DOC ORDER BY key': ['DOC-1', 'DOC-2'],
+        'filter=10000': { issues: [{ key: 'DOC-3', fields: { summary: 'From a saved search', status: { name: 'Open' } } }] }
+      }
+    }), 'utf-8');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('links a single issue to the Jira base URL', () => {
+    const migrator = createMigrator();
+    const result = migrator.convertToMarkdown(`<p>See ${jiraMacro({ server: 'System JIRA', key: 'DOC-9' })} for details</p>`);
+    expect(result).toBe('See [DOC-9](https://jira.example.com/browse/DOC-9) for details');
+  });
+
+  test('adds the cached summary and status of a single issue', async () => {
+    const migrator = createMigrator();
+    migrator.jiraSnapshot = await loadJiraSnapshot(snapshotFile);
+    const result = migrator.convertToMarkdown(`<p>${jiraMacro({ key: 'DOC-2' })}</p>`);
+    expect(result).toBe('[DOC-2](https://jira.example.com/browse/DOC-2) Fix a | pipe (In Progress)');
+  });
+
+  test('keeps the issue key as text without a Jira base URL', () => {
+    const migrator = createMigrator({ jiraUrl: undefined });
+    expect(migrator.convertToMarkdown(`<p>${jiraMacro({ key: 'DOC-9' })}</p>`)).toBe('DOC-9');
+  });
+
+  test('links a JQL query to the Jira search without a snapshot', () => {
+    const migrator = createMigrator();
+    const result = migrator.convertToMarkdown(jiraMacro({ jqlQuery: 'project = DOC AND status = Open' }));
+    expect(result).toBe('[Jira issues: project = DOC AND status = Open](https://jira.example.com/issues/?jql=project%20%3D%20DOC%20AND%20status%20%3D%20Open)');
+  });
+
+  test('renders the snapshot results of a query as a table with the macro columns', async () => {
+    const migrator = createMigrator();
+    migrator.jiraSnapshot = await loadJiraSnapshot(snapshotFile);
+    const html = jiraMacro({ jqlQuery: '  project = DOC   ORDER BY key', columns: 'key,summary,type,status,assignee' });
+    const result = migrator.convertToMarkdown(html);
+    expect(result).toBe([
+      '| Key | Summary | Type | Status | Assignee |',
+      '| --- | --- | --- | --- | --- |',
+      '| [DOC-1](https://jira.example.com/browse/DOC-1) | Write the guide |  | Done | Ada |',
+      '| [DOC-2](https://jira.example.com/browse/DOC-2) | Fix a \\| pipe | Bug | In Progress |  |'
+    ].join('\n'));
+  });
+
+  test('renders filter macros from saved search responses and honours maximumIssues', async () => {
+    const migrator = createMigrator();
+    migrator.jiraSnapshot = await loadJiraSnapshot(snapshotFile);
+
+    const filter = migrator.convertToMarkdown(jiraMacro({ jqlQuery: 'filter=10000' }));
+    expect(filter).toContain('| [DOC-3](https://jira.example.com/browse/DOC-3) | From a saved search | Open |');
+
+    const limited = migrator.convertToMarkdown(jiraMacro({ jqlQuery: 'project = DOC ORDER BY key', maximumIssues: '1' }));
+    expect(limited).toContain('DOC-1');
+    expect(limited).not.toContain('DOC-2');
+  });
+
+  test('reads the query of legacy jiraissues macros from their URL', async () => {
+    const migrator = createMigrator();
+    migrator.jiraSnapshot = await loadJiraSnapshot(snapshotFile);
+    const url = 'https://jira.example.com/sr/jira.issueviews:searchrequest-xml/temp/SearchRequest.xml?jqlQuery=filter%3D10000&amp;tempMax=1000';
+    const html = `<ac:structured-macro ac:name="jiraissues"><ac:parameter ac:name="url">${url}</ac:parameter></ac:structured-macro>`;
+    expect(migrator.convertToMarkdown(html)).toContain('From a saved search');
+  });
+
+  test('keeps a table holding a query result as HTML, and single issues in a Markdown table', async () => {
+    const migrator = createMigrator();
+    migrator.jiraSnapshot = await loadJiraSnapshot(snapshotFile);
+    const table = (cell) => `<table><tbody><tr><th>Work</th></tr><tr><td>${cell}</td></tr></tbody></table>`;
+
+    const query = migrator.convertToMarkdown(table(jiraMacro({ jqlQuery: 'project = DOC ORDER BY key' })));
+    expect(query).toBe('<table><thead><tr><th>Work</th></tr></thead><tbody><tr><td>' +
+      '<table><thead><tr><th>Key</th><th>Summary</th><th>Status</th></tr></thead><tbody>' +
+      '<tr><td><a href="https://jira.example.com/browse/DOC-1">DOC-1</a></td><td>Write the guide</td><td>Done</td></tr>' +
+      '<tr><td><a href="https://jira.example.com/browse/DOC-2">DOC-2</a></td><td>Fix a | pipe</td><td>In Progress</td></tr>' +
+      '</tbody></table></td></tr></tbody></table>');
+
+    migrator.jiraSnapshot.issues.set('DOC-5', { key: 'DOC-5', summary: 'Render <b> & {{ vars }}', status: 'Open' });
+    migrator.jiraSnapshot.queries.set('key = DOC-5', ['DOC-5']);
+    const escaped = migrator.convertToMarkdown(table(jiraMacro({ jqlQuery: 'key = DOC-5' })));
+    expect(escaped).toContain('<td>Render &lt;b&gt; &amp; &#123;&#123; vars }}</td>');
+
+    const issue = migrator.convertToMarkdown(table(jiraMacro({ key: 'DOC-9' })));
+    expect(issue).toBe('| Work |\n| --- |\n| [DOC-9](https://jira.example.com/browse/DOC-9) |');
+  });
+
+  test('normalizes snapshot files and fails on an unreadable one', async () => {
+    await expect(loadJiraSnapshot(path.join(tempDir, 'missing.json')))
+      .rejects.toThrow(/Could not read Jira snapshot .*missing\.json/);
+
+    const snapshot = await loadJiraSnapshot(snapshotFile);
+    expect([...snapshot.issues.keys()]).toEqual(['DOC-1', 'DOC-2', 'DOC-3']);
+    expect(snapshot.queries.get('project = DOC ORDER BY key')).toEqual(['DOC-1', 'DOC-2']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for the pluggable macro converter registry
+ */
+
+const { ConfluenceToVuePress, DEFAULT_MACROS, preprocessConfluenceHtml } = require('../src/migrator');
+
+function createMigrator(options = {}) {
+  return new ConfluenceToVuePress({
+    confluenceUrl: 'https://test.atlassian.net',
+    rootPageId: '12345',
+    email: 'test@example.com',
+    apiToken: 'test-token',
+    ...options
+  });
+}
+
+const macro = (name, inner = '') => `<ac:structured-macro ac:name="${name}">${inner}</ac:structured-macro>`;
+
+describe('Macro converter registry', () => {
+  test('registers the built-in converters by default', () => {
+    const migrator = createMigrator();
+    expect([...migrator.macros.keys()]).toEqual(expect.arrayContaining(Object.keys(DEFAULT_MACROS)));
+    expect(migrator.macros.has('code')).toBe(true);
+    expect(migrator.macros.has('info')).toBe(true);
+  });
+
+  test('passes parameters, rendered rich text body and plain text body to the converter', () => {
+    const migrator = createMigrator();
+    const converter = jest.fn(() => '<p>converted</p>');
+    migrator.registerMacro('custom', converter);
+
+    const html = macro('custom',
+      '<ac:parameter ac:name="title">A &amp; B</ac:parameter>' +
+      '<ac:rich-text-body><p><ac:link><ri:page ri:content-title="Other Page" /></ac:link></p></ac:rich-text-body>' +
+      '<ac:plain-text-body><![CDATA[if (a < b) {}]]></ac:plain-text-body>');
+    preprocessConfluenceHtml(html, 'my-page', [], migrator.macros);
+
+    expect(converter).toHaveBeenCalledWith({
+      name: 'custom',
+      params: { title: 'A & B' },
+      body: '<p><a href="CONFLUENCE_LINK:other-page">Other Page</a></p>',
+      plainTextBody: 'if (a < b) {}',
+      pageSlug: 'my-page',
+      inTable: false
+    });
+  });
+
+  test('inserts HTML returned by a converter', () => {
+    const migrator = createMigrator();
+    migrator.registerMacro('Callout', ({ params, body }) => `<blockquote><p><strong>${params.label}</strong></p>${body}</blockquote>`);
+
+    const html = macro('callout', '<ac:parameter ac:name="label">Heads up</ac:parameter><ac:rich-text-body><p>Read this</p></ac:rich-text-body>');
+    const result = migrator.convertToMarkdown(html);
+    expect(result).toBe('> **Heads up**\n> \n> Read this');
+  });
+
+  test('inserts Markdown returned by a converter without escaping it', () => {
+    const migrator = createMigrator({
+      macros: {
+        'release-notes': ({ params }) => ({ markdown: `## Release ${params.version}\n\n- *bold* & <b>` })
+      }
+    });
+
+    const html = `<p>Before</p>${macro('release-notes', '<ac:parameter ac:name="version">1.2</ac:parameter>')}<p>After</p>`;
+    const result = migrator.convertToMarkdown(html);
+    expect(result).toContain('Before\n\n## Release 1.2\n\n- *bold* & <b>\n\nAfter');
+  });
+
+  test('falls back to the default handling when a converter returns null', () => {
+    const migrator = createMigrator({ macros: { section: () => null } });
+    const html = macro('section', '<ac:rich-text-body><p>Kept</p></ac:rich-text-body>');
+    expect(preprocessConfluenceHtml(html, 'my-page', [], migrator.macros)).toBe('<p>Kept</p>');
+  });
+
+  test('config converters override the built-ins', () => {
+    const migrator = createMigrator({ macros: { code: ({ plainTextBody }) => `<p>${plainTextBody.length} chars</p>` } });
+    const html = macro('code', '<ac:plain-text-body><![CDATA[abc]]></ac:plain-text-body>');
+    expect(migrator.convertToMarkdown(html)).toBe('3 chars');
+  });
+
+  test('converts macros nested inside a custom macro body', () => {
+    const migrator = createMigrator();
+    migrator.registerMacro('wrapper', ({ body }) => `<div class="wrapper">${body}</div>`);
+
+    const html = macro('wrapper', `<ac:rich-text-body>${macro('code', '<ac:plain-text-body><![CDATA[x = 1]]></ac:plain-text-body>')}</ac:rich-text-body>`);
+    expect(preprocessConfluenceHtml(html, 'my-page', [], migrator.macros))
+      .toBe('<div class="wrapper"><pre><code class="language-">x = 1</code></pre></div>');
+  });
+
+  test('rejects converters that are not functions', () => {
+    expect(() => createMigrator({ macros: { broken: '<p>nope</p>' } }))
+      .toThrow('Invalid converter for macro "broken". Expected a function');
+  });
+});
@@ -3,6 +3,9 @@
  */
 
 const { ConfluenceToVuePress, createTurndownService } = require('../src/migrator');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
 
 describe('convertToMarkdown', () => {
   let migrator;
@@ -186,6 +189,213 @@ describe('convertToMarkdown', () => {
       expect(result).toContain('./attachments/my-page/test_image.png');
     });
   });
+
+  describe('Status badges', () => {
+    const status = (colour, title) => '<ac:structured-macro ac:name="status">' +
+      (colour ? `<ac:parameter ac:name="colour">${colour}</ac:parameter>` : '') +
+      (title ? `<ac:parameter ac:name="title">${title}</ac:parameter>` : '') +
+      '</ac:structured-macro>';
+
+    test('renders status lozenges as inline Badge components', () => {
+      const result = migrator.convertToMarkdown(`<p>State: ${status('Green', 'Done')} since Monday</p>`);
+      expect(result).toBe('State: <Badge type="tip" text="DONE" /> since Monday');
+    });
+
+    test('maps lozenge colours to badge types', () => {
+      expect(migrator.convertToMarkdown(status('Yellow', 'In progress'))).toBe('<Badge type="warning" text="IN PROGRESS" />');
+      expect(migrator.convertToMarkdown(status('Red', 'Blocked'))).toBe('<Badge type="danger" text="BLOCKED" />');
+      expect(migrator.convertToMarkdown(status('Blue', 'New'))).toBe('<Badge type="info" text="NEW" />');
+      expect(migrator.convertToMarkdown(status(null, null))).toBe('<Badge type="info" text="GREY" />');
+    });
+
+    test('keeps badges intact inside Markdown tables', () => {
+      const html = '<table><tbody><tr><th>Task</th><th>State</th></tr>' +
+        `<tr><td>Docs</td><td><p>${status('Red', 'a | b')}</p></td></tr></tbody></table>`;
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toContain('| Docs | <Badge type="danger" text="A &#124; B" /> |');
+    });
+
+    test('keeps badges intact inside tables kept as HTML', () => {
+      const html = `<table><tbody><tr><td>Docs</td><td>${status('Green', 'R&amp;D "ok"')}</td></tr></tbody></table>`;
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toBe('<table><tbody><tr><td>Docs</td><td><Badge type="tip" text="R&amp;D &quot;OK&quot;" /></td></tr></tbody></table>');
+    });
+  });
+
+  describe('Table of contents', () => {
+    test('renders the toc macro as a [[toc]] marker', () => {
+      const html = '<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">3</ac:parameter></ac:structured-macro><h2>Intro</h2>';
+      expect(migrator.convertToMarkdown(html)).toBe('[[toc]]\n\n## Intro');
+    });
+
+    test('places toc-zone markers around the zone body', () => {
+      const zone = (location) => '<ac:structured-macro ac:name="toc-zone">' +
+        (location ? `<ac:parameter ac:name="location">${location}</ac:parameter>` : '') +
+        '<ac:rich-text-body><h2>Part</h2></ac:rich-text-body></ac:structured-macro>';
+      expect(migrator.convertToMarkdown(zone('top'))).toBe('[[toc]]\n\n## Part');
+      expect(migrator.convertToMarkdown(zone('bottom'))).toBe('## Part\n\n[[toc]]');
+      expect(migrator.convertToMarkdown(zone())).toBe('[[toc]]\n\n## Part\n\n[[toc]]');
+    });
+  });
+
+  describe('Task lists', () => {
+    const task = (id, status, body, nested = '') =>
+      `<ac:task><ac:task-id>${id}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body>${body}</ac:task-body>${nested}</ac:task>`;
+
+    test('converts tasks to GFM checkboxes with inline formatting', () => {
+      const html = `<ac:task-list>\n${task(1, 'complete', 'Write <strong>docs</strong>')}\n${task(2, 'incomplete', 'Review <a href="https://example.com">it</a>')}\n</ac:task-list>`;
+      expect(migrator.convertToMarkdown(html)).toBe('- [x] Write **docs**\n- [ ] Review [it](https://example.com)');
+    });
+
+    test('preserves nesting', () => {
+      const nested = `<ac:task-list>${task(2, 'incomplete', 'Child', `<ac:task-list>${task(3, 'complete', 'Grandchild')}</ac:task-list>`)}</ac:task-list>`;
+      const html = `<ac:task-list>${task(1, 'incomplete', 'Parent', nested)}${task(4, 'complete', 'Sibling')}</ac:task-list><p>After</p>`;
+      expect(migrator.convertToMarkdown(html)).toBe('- [ ] Parent\n  - [ ] Child\n    - [x] Grandchild\n- [x] Sibling\n\nAfter');
+    });
+
+    test('renders due dates as plain text', () => {
+      const html = `<ac:task-list>${task(1, 'incomplete', 'Ship it by <time datetime="2024-05-01" />')}</ac:task-list>`;
+      expect(migrator.convertToMarkdown(html)).toBe('- [ ] Ship it by 2024-05-01');
+    });
+
+    test('converts task lists from HTML exports', () => {
+      const html = '<ul class="inline-task-list"><li class="checked">Done</li><li>Open</li></ul>';
+      expect(migrator.convertToMarkdown(html)).toBe('- [x] Done\n- [ ] Open');
+    });
+  });
+
+  describe('Complex tables', () => {
+    test('keeps tables with merged cells as HTML with their spans', () => {
+      const html = '<table class="confluenceTable"><colgroup><col /></colgroup><tbody>' +
+        '<tr><th class="confluenceTh">Area</th><th>Owner</th></tr>' +
+        '<tr><td rowspan="2" style="color: red"><p>Docs</p></td><td><p>Ada</p><p><strong>Grace</strong></p></td></tr>' +
+        '<tr><td colspan="1"><p>Linus</p></td></tr></tbody></table>';
+      expect(migrator.convertToMarkdown(html)).toBe(
+        '<table><thead><tr><th>Area</th><th>Owner</th></tr></thead><tbody>' +
+        '<tr><td rowspan="2">Docs</td><td><p>Ada</p><p><strong>Grace</strong></p></td></tr>' +
+        '<tr><td>Linus</td></tr></tbody></table>'
+      );
+    });
+
+    test('keeps lists and code blocks in cells without blank lines or Vue interpolation', () => {
+      const code = '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">js</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[if (a < b) {\n\n  render("{{ name }}");\n}]]></ac:plain-text-body></ac:structured-macro>';
+      const html = `<table><tbody><tr><th>Steps</th><th>Code</th></tr><tr><td><ul><li><p>Install</p></li>\n<li><p>Run {{ cmd }}</p></li></ul></td><td>${code}</td></tr></tbody></table>`;
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toContain('<td><ul><li><p>Install</p></li> <li><p>Run &#123;&#123; cmd }}</p></li></ul></td>');
+      expect(result).toContain('<pre><code class="language-js">if (a &lt; b) {&#10;&#10;  render("&#123;&#123; name }}");&#10;}</code></pre>');
+      expect(result).not.toContain('\n');
+    });
+
+    test('keeps nested tables whole while escaping the text around them', () => {
+      const html = '<p>Use &lt;div&gt; here</p><table><tbody><tr><th>Outer</th></tr><tr><td>' +
+        '<table><tbody><tr><td>Inner</td></tr></tbody></table></td></tr></tbody></table><p>Then &lt;span&gt;</p>';
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toContain('<table><thead><tr><th>Outer</th></tr></thead><tbody><tr><td><table><tbody><tr><td>Inner</td></tr></tbody></table></td></tr></tbody></table>');
+      expect(result).toContain('Use `<div>` here');
+      expect(result).toContain('Then `<span>`');
+    });
+
+    test('renders panels, tasks and badges in cells as the theme markup', () => {
+      const html = '<table><tbody><tr><th>Notes</th></tr><tr><td>' +
+        '<ac:structured-macro ac:name="tip"><ac:rich-text-body><p>Be quick</p></ac:rich-text-body></ac:structured-macro>' +
+        '<ac:task-list><ac:task><ac:task-status>complete</ac:task-status><ac:task-body>Done</ac:task-body></ac:task></ac:task-list>' +
+        '<p><ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Green</ac:parameter><ac:parameter ac:name="title">ok</ac:parameter></ac:structured-macro></p>' +
+        '</td></tr></tbody></table>';
+      expect(migrator.convertToMarkdown(html)).toBe(
+        '<table><thead><tr><th>Notes</th></tr></thead><tbody><tr><td>' +
+        '<div class="custom-container tip"><p class="custom-container-title">TIP</p><p>Be quick</p></div>' +
+        '<ul><li><input type="checkbox" disabled checked /> Done</li></ul>' +
+        '<p><Badge type="tip" text="OK" /></p></td></tr></tbody></table>'
+      );
+    });
+
+    test('downloads external images and copies missing attachments in tables kept as HTML', async () => {
+      const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'complex-table-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      migrator.config.outputDir = outputDir;
+      migrator.http.get = jest.fn(async () => ({ data: Buffer.from('png') }));
+      await fs.mkdir(path.join(outputDir, 'root', 'attachments', 'root'), { recursive: true });
+      await fs.writeFile(path.join(outputDir, 'root', 'attachments', 'root', 'logo.png'), 'logo');
+
+      const html = '<table><tbody><tr><th>Screens</th></tr><tr><td><ul><li>Before</li></ul>' +
+        '<ac:image><ri:url ri:value="https://images.example.com/shot.png" /></ac:image>' +
+        '<ac:image><ri:attachment ri:filename="logo.png" /></ac:image></td></tr></tbody></table>';
+      const attachmentDir = path.join(outputDir, 'root', 'child', 'attachments', 'child');
+      const markdown = await migrator.downloadExternalImages(migrator.convertToMarkdown(html, [], 'child'), attachmentDir, 'child');
+      await migrator.copyMissingAttachments(markdown, attachmentDir, 'child', 'root');
+
+      expect(migrator.http.get).toHaveBeenCalledWith('https://images.example.com/shot.png', expect.any(Object));
+      expect(markdown).toContain('<img src="./attachments/child/shot.png" alt="external-image" />');
+      expect(await fs.readFile(path.join(attachmentDir, 'shot.png'), 'utf-8')).toBe('png');
+      expect(await fs.readFile(path.join(attachmentDir, 'logo.png'), 'utf-8')).toBe('logo');
+      console.log.mockRestore();
+      await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    test('keeps simple tables as Markdown, joining cell paragraphs with line breaks', () => {
+      const html = '<table><tbody><tr><th>Name</th><th>Notes</th></tr>' +
+        '<tr><td><p>Ada</p></td><td><p>First</p><p><em>Second</em></p></td></tr></tbody></table>';
+      expect(migrator.convertToMarkdown(html)).toBe('| Name | Notes |\n| --- | --- |\n| Ada | First<br/>_Second_ |');
+    });
+  });
+
+  describe('Emoticons', () => {
+    test('converts classic emoticons to Unicode emoji', () => {
+      const html = '<p><ac:emoticon ac:name="tick" /> Done <ac:emoticon ac:name="warning" /> Careful <ac:emoticon ac:name="thumbs-up" /></p>';
+      expect(migrator.convertToMarkdown(html)).toBe('✅ Done ⚠️ Careful 👍');
+    });
+
+    test('converts emoji by their id rather than the placeholder name', () => {
+      const html = '<p><ac:emoticon ac:name="blue-star" ac:emoji-shortname=":grinning:" ac:emoji-id="1f600" ac:emoji-fallback="&#128512;" />' +
+        '<ac:emoticon ac:name="blue-star" ac:emoji-shortname=":flag_us:" ac:emoji-id="1f1fa-1f1f8" />' +
+        '<ac:emoticon ac:name="tick" ac:emoji-shortname=":check_mark:" ac:emoji-id="atlassian-check_mark" ac:emoji-fallback=":check_mark:" /></p>';
+      expect(migrator.convertToMarkdown(html)).toBe('😀🇺🇸✅');
+    });
+
+    test('falls back to the shortname for custom site emojis', () => {
+      const html = '<p>Ship it <ac:emoticon ac:name="blue-star" ac:emoji-shortname=":partyparrot:" ac:emoji-id="c0ffee00-1234-4567-89ab-0123456789ab" ac:emoji-fallback=":partyparrot:" /></p>';
+      expect(migrator.convertToMarkdown(html)).toBe('Ship it :partyparrot:');
+    });
+
+    test('keeps emoji inside headings and tables', () => {
+      const html = '<h2><ac:emoticon ac:name="light-on" /> Tips</h2>' +
+        '<table><tbody><tr><th>Check</th><th>Result</th></tr>' +
+        '<tr><td><p>Build</p></td><td><p><ac:emoticon ac:name="cross" /></p></td></tr></tbody></table>';
+      expect(migrator.convertToMarkdown(html)).toBe('## 💡 Tips\n\n| Check | Result |\n| --- | --- |\n| Build | ❌ |');
+    });
+
+    test('converts emoticon images from HTML exports', () => {
+      const html = '<p><img class="emoticon emoticon-tick" src="images/icons/emoticons/check.svg" alt="(tick)" /> ' +
+        '<img class="emoticon emoticon-blue-star" src="images/icons/emoticons/star_blue.svg" data-emoji-id="1f680" data-emoji-shortname=":rocket:" alt="(blue star)" /></p>';
+      expect(migrator.convertToMarkdown(html)).toBe('✅ 🚀');
+    });
+  });
+
+  describe('Custom containers', () => {
+    test('renders panels as VuePress containers with their title', () => {
+      const html = '<ac:structured-macro ac:name="note"><ac:parameter ac:name="title">Before you start</ac:parameter>' +
+        '<ac:rich-text-body><p>Read <strong>this</strong></p></ac:rich-text-body></ac:structured-macro>';
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toBe('::: warning Before you start\nRead **this**\n:::');
+    });
+
+    test('uses longer fences for containers that hold nested containers', () => {
+      const html = '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>Outer</p>' +
+        '<ac:structured-macro ac:name="tip"><ac:rich-text-body><p>Inner</p></ac:rich-text-body></ac:structured-macro>' +
+        '</ac:rich-text-body></ac:structured-macro><p>After</p>';
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toBe(':::: info\nOuter\n\n::: tip\nInner\n:::\n::::\n\nAfter');
+    });
+
+    test('renders expands as details containers', () => {
+      const html = '<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">Example</ac:parameter><ac:rich-text-body>' +
+        '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">js</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[run();]]></ac:plain-text-body></ac:structured-macro></ac:rich-text-body></ac:structured-macro>';
+      const result = migrator.convertToMarkdown(html);
+      expect(result).toBe('::: details Example\n```js\nrun();\n```\n:::');
+    });
+  });
 });
 
 describe('Turndown service', () => {
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for page version history export
+ */
+
+const { MANIFEST_FILE } = require('../src/migrator');
+const { createFakeMigrator, listResponse } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Page history', () => {
+  let tempDir;
+  let versions;
+
+  // Version 3 is current; versions 1 and 2 are history
+  const createVersions = () => ({
+    1: { when: '2024-01-10T08:00:00.000Z', by: 'Ada Lovelace', message: 'First draft', body: '<p>Draft one</p>' },
+    2: { when: '2024-02-11T08:00:00.000Z', by: 'Grace Hopper', message: 'Add | diagram', body: '<p>Draft two</p><ac:image><ri:attachment ri:filename="flow.png" /></ac:image>' },
+    3: { when: '2024-03-12T08:00:00.000Z', by: 'Ada Lovelace', message: '', body: '<p>Current</p>' }
+  });
+
+  const currentVersion = () => Math.max(...Object.keys(versions).map(Number));
+
+  const versionInfo = (number) => ({
+    number,
+    when: versions[number].when,
+    by: { displayName: versions[number].by },
+    message: versions[number].message
+  });
+
+  // Version requests answer from versions; the current version is served as the page
+  const createMigrator = (options = {}) => createFakeMigrator({
+    outputDir: tempDir,
+    site: { pages: { '1': { title: 'Procedure' } } },
+    history: 'all',
+    routes: (url, { params = {} }) => {
+      if (url === '/content/1') {
+        const number = params.status === 'historical' ? params.version : currentVersion();
+        return { data: { id: '1', title: 'Procedure', version: versionInfo(number), body: { storage: { value: versions[number].body } } } };
+      }
+      if (url === '/content/1/version') {
+        return listResponse(Object.keys(versions).map(Number).reverse().map(versionInfo));
+      }
+      return undefined;
+    },
+    ...options
+  });
+
+  const historicalRequests = (migrator) => migrator.api.get.mock.calls
+    .filter(([, config]) => config?.params?.status === 'historical')
+    .map(([, config]) => config.params.version);
+
+  const read = (file) => fs.readFile(path.join(tempDir, 'procedure', file), 'utf-8');
+
+  beforeEach(() => {
+    tempDir = path.join(os.tmpdir(), `test-history-${Date.now()}`);
+    versions = createVersions();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes previous versions under history/ with version, author and date', async () => {
+    await createMigrator().migrate();
+
+    const v1 = await read('history/v1.md');
+    expect(v1).toContain('title: Procedure (v1)\nversion: 1\ndate: "2024-01-10"\nauthor: Ada Lovelace\n---');
+    expect(v1).toContain('_Version 1 · 2024-01-10 · Ada Lovelace — [current version](../README.md)_');
+    expect(v1).toContain('Draft one');
+    await expect(fs.access(path.join(tempDir, 'procedure/history/v3.md'))).rejects.toThrow();
+  });
+
+  test('points attachment references in history files at the page attachments', async () => {
+    await createMigrator().migrate();
+
+    expect(await read('history/v2.md')).toContain('](../attachments/procedure/flow.png)');
+  });
+
+  test('adds a page history block to README.md', async () => {
+    await createMigrator().migrate();
+
+    const readme = await read('README.md');
+    expect(readme).toContain('## Page history');
+    expect(readme).toContain('| 3 (current) | 2024-03-12 | Ada Lovelace |  |');
+    expect(readme).toContain('| [2](./history/v2.md) | 2024-02-11 | Grace Hopper | Add \\| diagram |');
+    expect(readme.indexOf('[2](./history/v2.md)')).toBeLessThan(readme.indexOf('[1](./history/v1.md)'));
+  });
+
+  test('keeps only the last N versions', async () => {
+    await createMigrator({ history: 1 }).migrate();
+
+    expect(await read('history/v2.md')).toContain('Draft two');
+    await expect(fs.access(path.join(tempDir, 'procedure/history/v1.md'))).rejects.toThrow();
+    expect(await read('README.md')).not.toContain('v1.md');
+  });
+
+  test('reuses history files from the previous run', async () => {
+    await createMigrator().migrate();
+
+    versions[4] = { when: '2024-04-01T08:00:00.000Z', by: 'Grace Hopper', message: '', body: '<p>Newest</p>' };
+    const migrator = createMigrator();
+    await migrator.migrate();
+
+    expect(historicalRequests(migrator)).toEqual([3]);
+    const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), 'utf-8'));
+    expect(manifest.pages['1'].history.map(entry => entry.version)).toEqual([3, 2, 1]);
+  });
+
+  test('reconverts unchanged pages once history is enabled', async () => {
+    await createMigrator({ history: false }).migrate();
+
+    const result = await createMigrator().migrate();
+    expect(result.pagesUpdated).toBe(1);
+    expect(await read('history/v1.md')).toContain('Draft one');
+  });
+
+  test('rejects invalid history values', () => {
+    expect(() => createMigrator({ history: 'some' }).validateConfig()).toThrow('Invalid history "some"');
+    expect(createMigrator({ history: '5' }).config.history).toBe(5);
+    expect(createMigrator({ history: true }).config.history).toBe('all');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for paginated Confluence API fetching
+ */
+
+const { ConfluenceToVuePress, resolveNextLink } = require('../src/migrator');
+
+describe('Pagination', () => {
+  let migrator;
+
+  beforeEach(() => {
+    migrator = new ConfluenceToVuePress({
+      confluenceUrl: 'https://test.atlassian.net',
+      rootPageId: '12345',
+      email: 'test@example.com',
+      apiToken: 'test-token'
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveNextLink', () => {
+    test('prefixes relative links with _links.base', () => {
+      const next = '/rest/api/content/1/child/page?limit=2&start=2';
+      expect(resolveNextLink(next, { base: 'https://test.atlassian.net/wiki' }))
+        .toBe('https://test.atlassian.net/wiki/rest/api/content/1/child/page?limit=2&start=2');
+    });
+
+    test('strips the REST prefix when no base is given', () => {
+      expect(resolveNextLink('/wiki/rest/api/content/1/child/page?start=2'))
+        .toBe('/content/1/child/page?start=2');
+    });
+
+    test('keeps absolute links unchanged', () => {
+      const next = 'https://other.example.com/rest/api/content?cursor=abc';
+      expect(resolveNextLink(next, { base: 'https://test.atlassian.net/wiki' })).toBe(next);
+    });
+  });
+
+  describe('fetchAllResults', () => {
+    test('follows _links.next until exhausted', async () => {
+      migrator.api.get = jest.fn()
+        .mockResolvedValueOnce({
+          data: {
+            results: [{ id: '1' }, { id: '2' }],
+            start: 0, limit: 2, size: 2,
+            _links: { base: 'https://test.atlassian.net/wiki', next: '/rest/api/content/9/child/page?cursor=abc' }
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { results: [{ id: '3' }], start: 2, limit: 2, size: 1, _links: {} }
+        });
+
+      const results = await migrator.fetchAllResults('/content/9/child/page', { limit: 2 });
+
+      expect(results.map(r => r.id)).toEqual(['1', '2', '3']);
+      expect(migrator.api.get).toHaveBeenCalledTimes(2);
+      expect(migrator.api.get.mock.calls[1][0])
+        .toBe('https://test.atlassian.net/wiki/rest/api/content/9/child/page?cursor=abc');
+    });
+
+    test('falls back to start + size when no next link is returned', async () => {
+      migrator.api.get = jest.fn()
+        .mockResolvedValueOnce({ data: { results: [{ id: '1' }, { id: '2' }], start: 0, limit: 2, size: 2 } })
+        .mockResolvedValueOnce({ data: { results: [{ id: '3' }], start: 2, limit: 2, size: 1 } });
+
+      const results = await migrator.fetchAllResults('/content/9/child/attachment', { limit: 2, expand: 'version' });
+
+      expect(results).toHaveLength(3);
+      expect(migrator.api.get.mock.calls[1][1].params).toEqual({ limit: 2, expand: 'version', start: 2 });
+    });
+
+    test('stops on an empty page', async () => {
+      migrator.api.get = jest.fn()
+        .mockResolvedValueOnce({ data: { results: [], start: 0, limit: 2, size: 0, _links: { next: '/rest/api/x' } } });
+
+      const results = await migrator.fetchAllResults('/content/9/child/page', { limit: 2 });
+      expect(results).toEqual([]);
+      expect(migrator.api.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fetchChildPages', () => {
+    test('orders children by position across result pages', async () => {
+      migrator.api.get = jest.fn()
+        .mockResolvedValueOnce({
+          data: {
+            results: [{ id: 'c', extensions: { position: 3 } }, { id: 'a', extensions: { position: 1 } }],
+            start: 0, limit: 2, size: 2
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { results: [{ id: 'b', extensions: { position: 2 } }], start: 2, limit: 2, size: 1 }
+        });
+
+      const pages = await migrator.fetchChildPages('9');
+
+      expect(pages.map(p => p.id)).toEqual(['a', 'b', 'c']);
+      expect(migrator.retrievalCounts.get('9')).toEqual({ childPages: 3 });
+    });
+
+    test('returns an empty list when the request fails', async () => {
+      migrator.api.get = jest.fn().mockRejectedValue(new Error('boom'));
+
+      const pages = await migrator.fetchChildPages('9');
+      expect(pages).toEqual([]);
+    });
+  });
+});
@@ -2,7 +2,8 @@
  * Unit tests for HTML preprocessing functions
  */
 
-const { preprocessConfluenceHtml } = require('../src/migrator');
+const { preprocessConfluenceHtml, ConfluenceToVuePress } = require('../src/migrator');
+const { getTocLevels } = require('../src/storage-format');
 
 describe('preprocessConfluenceHtml', () => {
   describe('Confluence images', () => {
@@ -65,34 +66,102 @@ describe('preprocessConfluenceHtml', () => {
   });
 
   describe('Confluence panels', () => {
-    test('converts info panel to blockquote', () => {
+    test('converts info panel to a info container', () => {
       const html = '<ac:structured-macro ac:name="info"><ac:rich-text-body>Info content</ac:rich-text-body></ac:structured-macro>';
       const result = preprocessConfluenceHtml(html, 'my-page');
-      expect(result).toBe('<blockquote>**INFO:** Info content</blockquote>');
+      expect(result).toBe('<div data-container="info">Info content</div>');
     });
 
-    test('converts warning panel to blockquote', () => {
+    test('converts warning panel to a danger container', () => {
       const html = '<ac:structured-macro ac:name="warning"><ac:rich-text-body>Warning content</ac:rich-text-body></ac:structured-macro>';
       const result = preprocessConfluenceHtml(html, 'my-page');
-      expect(result).toBe('<blockquote>**WARNING:** Warning content</blockquote>');
+      expect(result).toBe('<div data-container="danger">Warning content</div>');
     });
 
-    test('converts note panel to blockquote', () => {
+    test('converts note panel to a warning container', () => {
       const html = '<ac:structured-macro ac:name="note"><ac:rich-text-body>Note content</ac:rich-text-body></ac:structured-macro>';
       const result = preprocessConfluenceHtml(html, 'my-page');
-      expect(result).toBe('<blockquote>**NOTE:** Note content</blockquote>');
+      expect(result).toBe('<div data-container="warning">Note content</div>');
     });
 
-    test('converts tip panel to blockquote', () => {
+    test('converts tip panel to a tip container', () => {
       const html = '<ac:structured-macro ac:name="tip"><ac:rich-text-body>Tip content</ac:rich-text-body></ac:structured-macro>';
       const result = preprocessConfluenceHtml(html, 'my-page');
-      expect(result).toBe('<blockquote>**TIP:** Tip content</blockquote>');
+      expect(result).toBe('<div data-container="tip">Tip content</div>');
     });
 
     test('converts Atlassian Editor panels', () => {
       const html = '<div class="ak-editor-panel" data-panel-type="info"><div class="ak-editor-panel__content">Panel content</div></div>';
       const result = preprocessConfluenceHtml(html, 'my-page');
-      expect(result).toBe('<blockquote>**INFO:** Panel content</blockquote>');
+      expect(result).toBe('<div data-container="info">Panel content</div>');
+    });
+
+    test('carries the panel title into the container title', () => {
+      const html = '<ac:structured-macro ac:name="tip"><ac:parameter ac:name="title">Pro &quot;tip&quot;</ac:parameter><ac:rich-text-body>Tip content</ac:rich-text-body></ac:structured-macro>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<div data-container="tip" data-container-title="Pro &quot;tip&quot;">Tip content</div>');
+    });
+
+    test('maps custom-coloured panel macros to the closest container', () => {
+      const panel = (bgColor) => '<ac:structured-macro ac:name="panel"><ac:parameter ac:name="title">Title</ac:parameter>' +
+        `<ac:parameter ac:name="bgColor">${bgColor}</ac:parameter><ac:rich-text-body>Body</ac:rich-text-body></ac:structured-macro>`;
+      expect(preprocessConfluenceHtml(panel('#FFEBE6'), 'my-page')).toBe('<div data-container="danger" data-container-title="Title">Body</div>');
+      expect(preprocessConfluenceHtml(panel('#fffae6'), 'my-page')).toContain('data-container="warning"');
+      expect(preprocessConfluenceHtml(panel('#E3FCEF'), 'my-page')).toContain('data-container="tip"');
+      expect(preprocessConfluenceHtml(panel('#DEEBFF'), 'my-page')).toContain('data-container="info"');
+      expect(preprocessConfluenceHtml(panel('#f4f5f7'), 'my-page')).toContain('data-container="info"');
+    });
+
+    test('maps note, success, error and custom editor panel types', () => {
+      const panel = (type, extra = '') => `<div class="ak-editor-panel" data-panel-type="${type}"${extra}><div class="ak-editor-panel__icon"><svg></svg></div>` +
+        '<div class="ak-editor-panel__content">Body</div></div>';
+      expect(preprocessConfluenceHtml(panel('note'), 'my-page')).toBe('<div data-container="info">Body</div>');
+      expect(preprocessConfluenceHtml(panel('success'), 'my-page')).toBe('<div data-container="tip">Body</div>');
+      expect(preprocessConfluenceHtml(panel('error'), 'my-page')).toBe('<div data-container="danger">Body</div>');
+      expect(preprocessConfluenceHtml(panel('custom', ' data-panel-color="#ffebe6"'), 'my-page')).toBe('<div data-container="danger">Body</div>');
+    });
+  });
+
+  describe('Expand macros', () => {
+    test('converts expand to a details container with its title', () => {
+      const html = '<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">Show more</ac:parameter>' +
+        '<ac:rich-text-body><p>Hidden text</p></ac:rich-text-body></ac:structured-macro>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<div data-container="details" data-container-title="Show more"><p>Hidden text</p></div>');
+    });
+
+    test('uses the Confluence default title when none is set', () => {
+      const html = '<ac:structured-macro ac:name="expand"><ac:rich-text-body><p>Hidden</p></ac:rich-text-body></ac:structured-macro>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toContain('data-container-title="Click here to expand..."');
+    });
+
+    test('keeps code blocks, tables and nested expands in the body', () => {
+      const html = '<ac:structured-macro ac:name="expand"><ac:rich-text-body>' +
+        '<ac:structured-macro ac:name="code"><ac:plain-text-body><![CDATA[x < 1]]></ac:plain-text-body></ac:structured-macro>' +
+        '<table><tbody><tr><td>Cell</td></tr></tbody></table>' +
+        '<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">Inner</ac:parameter><ac:rich-text-body><p>Deep</p></ac:rich-text-body></ac:structured-macro>' +
+        '</ac:rich-text-body></ac:structured-macro>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toContain('<pre><code class="language-">x &lt; 1</code></pre>');
+      expect(result).toContain('<table><tbody><tr><td>Cell</td></tr></tbody></table>');
+      expect(result).toContain('<div data-container="details" data-container-title="Inner"><p>Deep</p></div></div>');
+    });
+
+    test('converts nested expands written as ADF extensions', () => {
+      const html = '<ac:adf-extension><ac:adf-node type="nested-expand"><ac:adf-attribute key="title">In a table</ac:adf-attribute>' +
+        '<ac:adf-content><p>Hidden</p></ac:adf-content></ac:adf-node>' +
+        '<ac:adf-fallback><div class="expand-container"><p>Hidden</p></div></ac:adf-fallback></ac:adf-extension>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<div data-container="details" data-container-title="In a table"><p>Hidden</p></div>');
+    });
+
+    test('converts Atlassian Editor expands', () => {
+      const html = '<div class="ak-editor-expand" data-node-type="nestedExpand" data-title="Editor expand">' +
+        '<div class="ak-editor-expand__title-container"><button>Toggle</button></div>' +
+        '<div class="ak-editor-expand__content"><p>Body</p></div></div>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<div data-container="details" data-container-title="Editor expand"><p>Body</p></div>');
     });
   });
 
@@ -131,11 +200,10 @@ describe('preprocessConfluenceHtml', () => {
   });
 
   describe('Macro handling', () => {
-    test('removes self-closing macros (like TOC)', () => {
-      const html = '<p>Before</p><ac:structured-macro ac:name="toc" /><p>After</p>';
+    test('removes self-closing macros (like children)', () => {
+      const html = '<p>Before</p><ac:structured-macro ac:name="children" /><p>After</p>';
       const result = preprocessConfluenceHtml(html, 'my-page');
-      // Note: </p><p> gets converted to <br/> in table processing
-      expect(result).not.toContain('toc');
+      expect(result).not.toContain('children');
       expect(result).toContain('Before');
       expect(result).toContain('After');
     });
@@ -181,9 +249,15 @@ describe('preprocessConfluenceHtml', () => {
     });
 
     test('does NOT strip pre tags (regression test)', () => {
+      const migrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        rootPageId: '12345',
+        email: 'test@example.com',
+        apiToken: 'test-token'
+      });
       const html = '<table><tr><td><pre>code</pre></td></tr></table>';
-      const result = preprocessConfluenceHtml(html, 'my-page');
-      expect(result).toContain('<pre>code</pre>');
+      // Tables with block content stay as HTML
+      expect(migrator.convertToMarkdown(html)).toBe('<table><tr><td><pre>code</pre></td></tr></table>');
     });
 
     test('converts multiple p tags to br in cells', () => {
@@ -231,6 +305,51 @@ describe('preprocessConfluenceHtml', () => {
     });
   });
 
+  describe('Nested macros', () => {
+    test('converts a code macro nested inside a panel', () => {
+      const html = '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>Run:</p>' +
+        '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">bash</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[npm test]]></ac:plain-text-body></ac:structured-macro>' +
+        '</ac:rich-text-body></ac:structured-macro>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<div data-container="info"><p>Run:</p><pre><code class="language-bash">npm test</code></pre></div>');
+    });
+
+    test('keeps content that follows a nested macro', () => {
+      const html = '<ac:structured-macro ac:name="section"><ac:rich-text-body>' +
+        '<ac:structured-macro ac:name="column"><ac:rich-text-body><p>Left</p></ac:rich-text-body></ac:structured-macro>' +
+        '<ac:structured-macro ac:name="column"><ac:rich-text-body><p>Right</p></ac:rich-text-body></ac:structured-macro>' +
+        '</ac:rich-text-body></ac:structured-macro><p>After</p>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<p>Left</p><p>Right</p><p>After</p>');
+    });
+
+    test('uses the language parameter of the macro itself, not of a nested one', () => {
+      const html = '<ac:structured-macro ac:name="note"><ac:rich-text-body>' +
+        '<ac:structured-macro ac:name="code"><ac:plain-text-body><![CDATA[plain]]></ac:plain-text-body></ac:structured-macro>' +
+        '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">java</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[class A {}]]></ac:plain-text-body></ac:structured-macro>' +
+        '</ac:rich-text-body></ac:structured-macro>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toContain('<pre><code class="language-">plain</code></pre>');
+      expect(result).toContain('<pre><code class="language-java">class A {}</code></pre>');
+    });
+
+    test('converts links and images inside table cells', () => {
+      const html = '<table><tbody><tr><td><p><ac:link><ri:page ri:content-title="Other" /></ac:link></p>' +
+        '<p><ac:image><ri:attachment ri:filename="a.png" /></ac:image></p></td></tr></tbody></table>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<table><tbody><tr><td><a href="CONFLUENCE_LINK:other">Other</a><br/>' +
+        '<img src="./attachments/my-page/a.png" alt="a.png" /></td></tr></tbody></table>');
+    });
+
+    test('keeps separate paragraphs outside tables', () => {
+      const html = '<p>First</p><p>Second</p>';
+      const result = preprocessConfluenceHtml(html, 'my-page');
+      expect(result).toBe('<p>First</p><p>Second</p>');
+    });
+  });
+
   describe('Loadable wrapper spans', () => {
     test('removes data-loadable wrapper spans but keeps content', () => {
       const html = '<span data-loadable-vc-wrapper="true">Content inside</span>';
@@ -239,3 +358,25 @@ describe('preprocessConfluenceHtml', () => {
     });
   });
 });
+
+describe('getTocLevels', () => {
+  const toc = (params = {}, name = 'toc') => `<ac:structured-macro ac:name="${name}">` +
+    Object.entries(params).map(([key, value]) => `<ac:parameter ac:name="${key}">${value}</ac:parameter>`).join('') +
+    '</ac:structured-macro>';
+
+  test('returns null for pages without a toc macro', () => {
+    expect(getTocLevels('<p>No toc here</p>')).toBeNull();
+  });
+
+  test('reads minLevel and maxLevel, defaulting to all heading levels', () => {
+    expect(getTocLevels(toc({ minLevel: 2, maxLevel: 3 }))).toEqual([2, 3]);
+    expect(getTocLevels(toc())).toEqual([1, 6]);
+    expect(getTocLevels(toc({ maxLevel: 7 }))).toEqual([1, 6]);
+  });
+
+  test('combines the levels of every toc and toc-zone macro on the page', () => {
+    const html = `${toc({ minLevel: 3, maxLevel: 4 })}<ac:structured-macro ac:name="expand"><ac:rich-text-body>` +
+      `${toc({ minLevel: 2, maxLevel: 2 }, 'toc-zone')}</ac:rich-text-body></ac:structured-macro>`;
+    expect(getTocLevels(html)).toEqual([2, 4]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for pruning output of deleted or moved pages
+ */
+
+const { createFakeMigrator } = require('./helpers/fake-confluence');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('Prune', () => {
+  let tempDir;
+  let migrator;
+
+  const write = async (relativePath, content = 'x') => {
+    const filePath = path.join(tempDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  };
+
+  const exists = (relativePath) => fs.access(path.join(tempDir, relativePath)).then(() => true, () => false);
+
+  const createMigrator = (options = {}) => {
+    const instance = createFakeMigrator({ outputDir: tempDir, ...options });
+    instance.pageMap.set('1', { title: 'Root', path: 'root/', slug: 'root', children: ['2'] });
+    instance.pageMap.set('2', { title: 'Child', path: 'root/child/', slug: 'child', children: [] });
+    instance.manifestPages['1'] = { path: 'root/', assets: ['./attachments/root/keep.png'] };
+    instance.manifestPages['2'] = { path: 'root/child/', assets: [] };
+    // What the previous run wrote: old-child has since been deleted and renamed-root renamed
+    instance.previousManifest = {
+      pages: {
+        '1': { path: 'root/', assets: ['./attachments/root/keep.png', './attachments/root/stale.png'] },
+        '2': { path: 'root/child/', assets: [] },
+        '3': { path: 'root/old-child/', assets: ['./attachments/old-child/img.png'] },
+        '4': { path: 'renamed-root/', assets: [] }
+      }
+    };
+    return instance;
+  };
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `test-prune-${Date.now()}`);
+    await write('README.md');
+    await write('root/README.md');
+    await write('root/attachments/root/keep.png');
+    await write('root/attachments/root/stale.png');
+    await write('root/child/README.md');
+    await write('root/old-child/README.md');
+    await write('root/old-child/attachments/old-child/img.png');
+    await write('renamed-root/README.md');
+    await write('.vuepress/config.js');
+    await write('node_modules/pkg/README.md');
+    await write('assets/logo.png');
+    await write('guide/README.md');
+    await write('renamed-root/notes.md');
+    migrator = createMigrator();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('findOrphans', () => {
+    test('finds page folders that are no longer part of the tree', async () => {
+      const orphans = await migrator.findOrphans();
+      const pages = orphans.filter(o => o.type === 'page').map(o => o.path).sort();
+      expect(pages).toEqual(['renamed-root/', 'root/old-child/']);
+    });
+
+    test('finds attachment files a page no longer owns', async () => {
+      const orphans = await migrator.findOrphans();
+      const files = orphans.filter(o => o.type === 'attachment').map(o => o.path);
+      expect(files).toEqual(['root/attachments/root/stale.png']);
+    });
+
+    test('ignores folders that were never pages', async () => {
+      const orphans = await migrator.findOrphans();
+      const paths = orphans.map(o => o.path);
+      expect(paths.some(p => /^(\.vuepress|node_modules|assets|guide)/.test(p))).toBe(false);
+    });
+
+    test('only lists the files the tool wrote', async () => {
+      const orphans = await migrator.findOrphans();
+      expect(orphans.find(o => o.path === 'root/old-child/').files.sort())
+        .toEqual(['root/old-child/README.md', 'root/old-child/attachments/old-child/img.png']);
+      expect(orphans.find(o => o.path === 'renamed-root/').files).toEqual(['renamed-root/README.md']);
+    });
+
+    test('finds orphans left unpruned by an earlier run', async () => {
+      await write('gone/README.md');
+      migrator.previousManifest.orphans = [{ type: 'page', path: 'gone/', files: ['gone/README.md'] }];
+      const orphans = await migrator.findOrphans();
+      expect(orphans.map(o => o.path)).toContain('gone/');
+    });
+
+    test('leaves pages with failed listings untouched', async () => {
+      migrator.incompletePages.add('1');
+      const orphans = await migrator.findOrphans();
+      expect(orphans.map(o => o.path)).toEqual(['renamed-root/']);
+    });
+
+    test('skips attachment pruning for pages without recorded assets', async () => {
+      delete migrator.manifestPages['1'].assets;
+      const orphans = await migrator.findOrphans();
+      expect(orphans.some(o => o.type === 'attachment')).toBe(false);
+    });
+  });
+
+  describe('prune', () => {
+    test('deletes orphans', async () => {
+      migrator = createMigrator({ prune: true });
+      await migrator.prune();
+
+      expect(await exists('root/old-child')).toBe(false);
+      expect(await exists('renamed-root/README.md')).toBe(false);
+      expect(await exists('renamed-root/notes.md')).toBe(true);
+      expect(await exists('guide/README.md')).toBe(true);
+      expect(await exists('root/attachments/root/stale.png')).toBe(false);
+      expect(await exists('root/attachments/root/keep.png')).toBe(true);
+      expect(await exists('root/child/README.md')).toBe(true);
+    });
+
+    test('only lists orphans in dry-run mode', async () => {
+      migrator = createMigrator({ prune: 'dry-run' });
+      const orphans = await migrator.prune();
+
+      expect(orphans).toHaveLength(3);
+      expect(await exists('root/old-child/README.md')).toBe(true);
+      expect(console.log).toHaveBeenCalledWith('  Would prune page: root/old-child/');
+    });
+
+    test('moves orphans into the archive directory', async () => {
+      const archiveDir = path.join(tempDir, 'archive');
+      migrator = createMigrator({ prune: 'archive', archiveDir });
+      await migrator.prune();
+
+      const [stamp] = await fs.readdir(archiveDir);
+      expect(await exists('root/old-child')).toBe(false);
+      expect(await exists(`archive/${stamp}/root/old-child/attachments/old-child/img.png`)).toBe(true);
+      expect(await exists(`archive/${stamp}/root/attachments/root/stale.png`)).toBe(true);
+    });
+
+    test('rejects unknown modes during validation', () => {
+      migrator = createMigrator({ prune: 'shred' });
+      expect(() => migrator.validateConfig()).toThrow('Invalid prune mode "shred"');
+    });
+  });
+});
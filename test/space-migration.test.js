@@ -0,0 +1,74 @@
+/**
+ * Unit tests for whole-space migration
+ */
+
+const { ConfluenceToVuePress } = require('../src/migrator');
+
+describe('Space mode', () => {
+  let migrator;
+
+  beforeEach(() => {
+    migrator = new ConfluenceToVuePress({
+      confluenceUrl: 'https://test.atlassian.net',
+      spaceKey: 'DOCS',
+      email: 'test@example.com',
+      apiToken: 'test-token'
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockSpaceApi = (homepage, rootPages) => {
+    migrator.api.get = jest.fn((url) => {
+      if (url === '/space/DOCS') {
+        return Promise.resolve({ data: { key: 'DOCS', name: 'Docs', homepage } });
+      }
+      if (url === '/space/DOCS/content/page') {
+        return Promise.resolve({ data: { results: rootPages, start: 0, limit: 100, size: rootPages.length } });
+      }
+      return Promise.reject(new Error(`Unexpected request: ${url}`));
+    });
+  };
+
+  test('puts the homepage first, then other top-level pages by position', async () => {
+    mockSpaceApi({ id: '2', title: 'Home' }, [
+      { id: '3', title: 'Orphan B', extensions: { position: 5 } },
+      { id: '2', title: 'Home', extensions: { position: 9 } },
+      { id: '1', title: 'Orphan A', extensions: { position: 1 } }
+    ]);
+
+    const pages = await migrator.fetchSpaceRootPages('DOCS');
+    expect(pages.map(p => p.id)).toEqual(['2', '1', '3']);
+  });
+
+  test('requests only root-level pages', async () => {
+    mockSpaceApi({ id: '2', title: 'Home' }, [{ id: '2', title: 'Home' }]);
+
+    await migrator.fetchSpaceRootPages('DOCS');
+    const contentCall = migrator.api.get.mock.calls.find(([url]) => url === '/space/DOCS/content/page');
+    expect(contentCall[1].params.depth).toBe('root');
+  });
+
+  test('includes the homepage even when it is not listed as a root page', async () => {
+    mockSpaceApi({ id: '2', title: 'Home' }, [{ id: '1', title: 'Orphan' }]);
+
+    const pages = await migrator.fetchSpaceRootPages('DOCS');
+    expect(pages.map(p => p.id)).toEqual(['2', '1']);
+  });
+
+  test('prefers rootPageId when both are configured', async () => {
+    migrator.config.rootPageId = '42';
+    migrator.api.get = jest.fn();
+
+    expect(await migrator.resolveRootPageIds()).toEqual(['42']);
+    expect(migrator.api.get).not.toHaveBeenCalled();
+  });
+
+  test('fails when the space has no pages', async () => {
+    mockSpaceApi(null, []);
+    await expect(migrator.resolveRootPageIds()).rejects.toThrow('No pages found in space DOCS');
+  });
+});
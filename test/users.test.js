@@ -0,0 +1,106 @@
+/**
+ * Tests for resolving user mentions and authors to display names
+ */
+
+const { ConfluenceToVuePress } = require('../src/migrator');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('User resolution', () => {
+  let tempDir;
+
+  const createMigrator = (options = {}) => {
+    const migrator = new ConfluenceToVuePress({
+      confluenceUrl: 'https://test.atlassian.net',
+      rootPageId: '1',
+      email: 'test@example.com',
+      apiToken: 'test-token',
+      outputDir: tempDir,
+      ...options
+    });
+    migrator.api.get = jest.fn(async (url, { params }) => {
+      if (params.accountId === 'acc-1' || params.key === 'key-1') {
+        return { data: { displayName: 'Ada Lovelace' } };
+      }
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    });
+    return migrator;
+  };
+
+  const mention = (attrs) => `<ac:link><ri:user ${attrs} /></ac:link>`;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'users-test-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.error.mockRestore();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('renders mentions as @Display Name, fetching each user once', async () => {
+    const migrator = createMigrator();
+    const html = `<p>Ask ${mention('ri:account-id="acc-1"')} or ${mention('ri:account-id="acc-1"')}</p>`;
+
+    await Promise.all([migrator.resolveUsers([{ accountId: 'acc-1' }]), migrator.resolveUsers([{ accountId: 'acc-1' }])]);
+    expect(migrator.convertToMarkdown(html)).toBe('Ask @Ada Lovelace or @Ada Lovelace');
+    expect(migrator.api.get).toHaveBeenCalledTimes(1);
+    expect(migrator.api.get).toHaveBeenCalledWith('/user', { params: { accountId: 'acc-1' } });
+  });
+
+  test('looks up Server users by user key', async () => {
+    const migrator = createMigrator({ deploymentType: 'server' });
+    await migrator.resolveUsers([{ userKey: 'key-1' }]);
+    expect(migrator.api.get).toHaveBeenCalledWith('/user', { params: { key: 'key-1' } });
+    expect(migrator.convertToMarkdown(`<p>${mention('ri:userkey="key-1"')}</p>`)).toBe('@Ada Lovelace');
+  });
+
+  test('falls back for users that cannot be resolved, without retrying them', async () => {
+    const migrator = createMigrator();
+    await migrator.resolveUsers([{ accountId: 'gone' }]);
+    await migrator.resolveUsers([{ accountId: 'gone' }]);
+    expect(migrator.api.get).toHaveBeenCalledTimes(1);
+    expect(migrator.convertToMarkdown(`<p>Hi ${mention('ri:account-id="gone"')}</p>`)).toBe('Hi @Unknown User');
+  });
+
+  test('uses the mapping file without calling the API', async () => {
+    const mapFile = path.join(tempDir, 'users.json');
+    await fs.writeFile(mapFile, JSON.stringify({ 'acc-1': 'Ada (mapped)', 'acc-2': 'Grace Hopper' }), 'utf-8');
+    const migrator = createMigrator({ userMap: mapFile });
+    await migrator.loadUserMap();
+
+    await migrator.resolveUsers([{ accountId: 'acc-1' }, { accountId: 'acc-2' }]);
+    expect(migrator.api.get).not.toHaveBeenCalled();
+    expect(migrator.convertToMarkdown(`<p>${mention('ri:account-id="acc-2"')}</p>`)).toBe('@Grace Hopper');
+    expect(migrator.getUserName({ accountId: 'acc-1', displayName: 'Ada Lovelace' })).toBe('Ada (mapped)');
+  });
+
+  test('rejects an unreadable mapping file', async () => {
+    const migrator = createMigrator({ userMap: path.join(tempDir, 'missing.json') });
+    await expect(migrator.loadUserMap()).rejects.toThrow(/Could not read user map/);
+  });
+
+  test('resolves mentions and comment authors when writing a page', async () => {
+    const migrator = createMigrator({ comments: true });
+    const page = {
+      id: '1',
+      title: 'Team',
+      version: { number: 1 },
+      body: { storage: { value: `<p>Owner: ${mention('ri:account-id="acc-1"')}</p>` } }
+    };
+    const comments = [{
+      id: 'c1',
+      history: { createdBy: { accountId: 'acc-1' }, createdDate: '2024-01-01T10:00:00.000Z' },
+      body: { storage: { value: '<p>Looks good</p>' } },
+      ancestors: []
+    }];
+    migrator.fetchAttachments = jest.fn(async () => []);
+
+    await migrator.writePage(page, '', '', { comments });
+    const readme = await fs.readFile(path.join(tempDir, 'team', 'README.md'), 'utf-8');
+    expect(readme).toContain('Owner: @Ada Lovelace');
+    expect(readme).toContain('**Ada Lovelace**');
+  });
+});
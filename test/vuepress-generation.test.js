@@ -91,6 +91,19 @@ describe('VuePress Generation', () => {
       expect(config).toContain('collapsible: true');
     });
 
+    test('omits markdown toc configuration when no page has a toc macro', () => {
+      const config = migrator.generateVuePressConfig();
+      expect(config).not.toContain('markdown:');
+    });
+
+    test('configures toc levels to cover every toc macro', () => {
+      migrator.manifestPages['12345'] = { toc: [2, 3] };
+      migrator.manifestPages['67890'] = { toc: [3, 5] };
+      migrator.manifestPages['99999'] = { toc: [1, 6] }; // not part of this run
+      const config = migrator.generateVuePressConfig();
+      expect(config).toContain('  markdown: {\n    toc: {\n      level: [2, 3, 4, 5]\n    }\n  },');
+    });
+
     test('generates correct link paths', () => {
       const config = migrator.generateVuePressConfig();
       // Config uses double quotes in JSON format
@@ -99,6 +112,26 @@ describe('VuePress Generation', () => {
     });
   });
 
+  describe('generateVuePressConfig in space mode', () => {
+    beforeEach(() => {
+      migrator.rootPageIds = ['1', '2'];
+      migrator.pageMap.set('1', { title: 'Home', path: 'home/', slug: 'home', children: [] });
+      migrator.pageMap.set('2', { title: 'Orphan', path: 'orphan/', slug: 'orphan', children: [] });
+    });
+
+    test('emits one sidebar section per top-level page', () => {
+      const config = migrator.generateVuePressConfig();
+      expect(config).toContain('link: "/home/"');
+      expect(config).toContain('link: "/orphan/"');
+    });
+
+    test('links the homepage to the first top-level page', async () => {
+      await migrator.createHomepage();
+      const content = await fs.readFile(path.join(tempDir, 'README.md'), 'utf-8');
+      expect(content).toContain('link: /home/');
+    });
+  });
+
   describe('createCustomStyles', () => {
     test('creates styles directory', async () => {
       await fs.mkdir(path.join(tempDir, '.vuepress'), { recursive: true });
@@ -313,6 +346,16 @@ describe('VuePress Generation', () => {
       expect(() => badMigrator.validateConfig()).toThrow('apiToken');
     });
 
+    test('accepts spaceKey in place of rootPageId', () => {
+      const spaceMigrator = new ConfluenceToVuePress({
+        confluenceUrl: 'https://test.atlassian.net',
+        spaceKey: 'DOCS',
+        email: 'test@example.com',
+        apiToken: 'test-token'
+      });
+      expect(() => spaceMigrator.validateConfig()).not.toThrow();
+    });
+
     test('does not throw when all required config is provided', () => {
       expect(() => migrator.validateConfig()).not.toThrow();
     });